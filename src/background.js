@@ -2,6 +2,11 @@
 import { EmbeddingService } from './services/embedding-service.js';
 import { GeminiService } from './services/gemini-service.js';
 import { FileService } from './services/file-service.js';
+import { SemanticTypes } from './services/semantic-types.js';
+import { BlobStore } from './services/blob-store.js';
+import { PdfExtractor } from './services/pdf-extractor.js';
+import { OfficeExtractor } from './services/office-extractor.js';
+import { ProfileService } from './services/profile-service.js';
 
 // Get the API key from Chrome extension environment variables (chrome.storage)
 let API_KEY = null;
@@ -41,6 +46,16 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
 let embeddingService = null;
 let geminiService = null;
 let fileService = null;
+let profileService = null;
+// Needs no API key, so it's available before the other services
+const blobStore = new BlobStore();
+const pdfExtractor = new PdfExtractor();
+const officeExtractor = new OfficeExtractor();
+
+// Running jobs the popup's Stop button can cancel: fills by tab id and the
+// current file upload. Aborting a controller cancels its pending API requests
+const fillControllers = new Map();
+let uploadController = null;
 
 // Initialize services
 async function initializeServices() {
@@ -52,10 +67,11 @@ async function initializeServices() {
     throw new Error('No API key configured. Please set your Gemini API key in extension settings.');
   }
   
-  if (!embeddingService || !geminiService || !fileService) {
+  if (!embeddingService || !geminiService || !fileService || !profileService) {
     embeddingService = new EmbeddingService(API_KEY);
     geminiService = new GeminiService(API_KEY);
     fileService = new FileService(embeddingService);
+    profileService = new ProfileService(geminiService);
     console.log('🔧 Services initialized with API key');
   }
 }
@@ -91,6 +107,108 @@ async function setNormalIcon(tabId) {
   await chrome.action.setBadgeText({ tabId: tabId, text: "" });
 }
 
+// Outcome of a shortcut, shown on the action badge for a few seconds
+const RESULT_BADGE_DURATION = 4000;
+
+async function showResultBadge(tabId, text, color) {
+  await setNormalIcon(tabId);
+  await chrome.action.setBadgeText({ tabId, text });
+  await chrome.action.setBadgeBackgroundColor({ tabId, color });
+  setTimeout(() => {
+    chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {});
+  }, RESULT_BADGE_DURATION);
+}
+
+// Tabs opened before the extension was installed or reloaded have no content script yet
+async function ensureContentScripts(tabId) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+  } catch (error) {
+    console.log('Content script not found, injecting...');
+    await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      // The manifest's own list, so a new content script is injected here too
+      files: chrome.runtime.getManifest().content_scripts[0].js
+    });
+  }
+}
+
+// Keyboard shortcuts run the popup's pipelines without the popup open;
+// progress shows on the action badge and the page's working indicator
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab?.id || !tab.url?.startsWith('http')) return;
+  handleCommand(command, tab.id).catch(async error => {
+    console.error(`❌ Shortcut "${command}" failed:`, error);
+    await showResultBadge(tab.id, '!', '#c62828');
+  });
+});
+
+async function handleCommand(command, tabId) {
+  console.log(`⌨️ Shortcut: ${command}`);
+  await ensureContentScripts(tabId);
+  await setWorkingIcon(tabId);
+  
+  switch (command) {
+    case 'analyze-page': {
+      const result = await handleAnalyzeTab(tabId);
+      const fieldCount = Object.keys(result.fields || {}).length;
+      await showResultBadge(tabId, result.success ? String(fieldCount) : '0', result.success ? '#2e7d32' : '#9e9e9e');
+      break;
+    }
+    
+    case 'fill-form': {
+      // A shortcut is a single keypress, so analyse first when nothing is stored
+      if (!(await loadTabAnalysis(tabId))) {
+        await handleAnalyzeTab(tabId);
+      }
+      const { customInstructions = '', reviewBeforeFill = false } = await chrome.storage.local.get(['customInstructions', 'reviewBeforeFill']);
+      const result = await handleFillTab(tabId, customInstructions, false, reviewBeforeFill);
+      const problemCount = (result.unsatisfied?.length || 0) + (result.invalid?.length || 0) + (result.conflicts?.length || 0);
+      if (!result.success) {
+        await showResultBadge(tabId, '0', '#9e9e9e');
+      } else if (problemCount > 0) {
+        await showResultBadge(tabId, String(problemCount), '#ef6c00');
+      } else {
+        await showResultBadge(tabId, '✓', '#2e7d32');
+      }
+      break;
+    }
+    
+    case 'fill-focused-field': {
+      const result = await handleFillFocusedField(tabId);
+      await showResultBadge(tabId, result.success ? '✓' : '!', result.success ? '#2e7d32' : '#c62828');
+      break;
+    }
+    
+    case 'undo-fill': {
+      const result = await handleUndoTab(tabId);
+      await showResultBadge(tabId, result.success ? '↩' : '0', result.success ? '#2e7d32' : '#9e9e9e');
+      break;
+    }
+    
+    default:
+      await setNormalIcon(tabId);
+  }
+}
+
+// Only the frame holding keyboard focus answers with focused: true
+async function handleFillFocusedField(tabId) {
+  await sendToFrame(tabId, 0, { action: 'showIndicator', message: 'Filling the focused field...' });
+  
+  try {
+    for (const frame of await getTabFrames(tabId)) {
+      const response = await sendToFrame(tabId, frame.frameId, { action: 'fillFocusedField' });
+      if (response?.focused) {
+        return response;
+      }
+    }
+    console.warn('⚠️ No focused field to fill');
+    return { success: false, error: 'No field has focus' };
+  } finally {
+    await sendToFrame(tabId, 0, { action: 'hideIndicator' });
+  }
+}
+
 // Listen for form submissions and prediction requests
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'formSubmitted') {
@@ -105,10 +223,60 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Required for async response
   } else if (request.action === 'searchKnowledge') {
-    handleKnowledgeSearch(request.query, request.fieldType, request.fieldTitle, request.customInstructions, sender.tab?.id)
+    handleKnowledgeSearch(request.query, request.field, request.customInstructions, sender.tab?.id)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Required for async response
+  } else if (request.action === 'analyzeTab') {
+    handleAnalyzeTab(request.tabId)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Required for async response
+  } else if (request.action === 'fillTab') {
+    handleFillTab(request.tabId, request.customInstructions, request.visibleOnly, request.review)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Required for async response
+  } else if (request.action === 'fillProgress') {
+    // Every frame reports its fields as it goes; the top frame draws the progress panel
+    if (sender.tab?.id !== undefined) {
+      sendToFrame(sender.tab.id, 0, { action: 'showProgress', frameId: sender.frameId, ...request.progress });
+    }
+    return false;
+  } else if (request.action === 'cancelJobs') {
+    handleCancelJobs(request.tabId)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Required for async response
+  } else if (request.action === 'getActiveJobs') {
+    sendResponse({ fill: fillControllers.has(request.tabId), upload: Boolean(uploadController) });
+    return false;
+  } else if (request.action === 'undoTab') {
+    // From the popup (tabId given) or the page's own "Undo fill" button
+    handleUndoTab(request.tabId ?? sender.tab?.id)
       .then(result => sendResponse(result))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Required for async response
+  } else if (request.action === 'frameFieldsUpdated') {
+    handleFrameFieldsUpdated(sender.tab?.id, sender.frameId, request.fields, request.url, request.signature)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Required for async response
+  } else if (request.action === 'getLibraryFile') {
+    handleLibraryFileRequest(request.field)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Required for async response
+  } else if (request.action === 'deleteLibraryFile') {
+    blobStore.delete(request.name)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Required for async response
+  } else if (request.action === 'clearLibraryFiles') {
+    blobStore.clear()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Required for async response
   } else if (request.action === 'apiKeyUpdated') {
     // Reload API key and reinitialize services
     handleApiKeyUpdate();
@@ -130,6 +298,7 @@ async function handleApiKeyUpdate() {
       embeddingService = null;
       geminiService = null;
       fileService = null;
+      profileService = null;
       
       console.log('✅ API key updated and services reset');
     }
@@ -138,6 +307,393 @@ async function handleApiKeyUpdate() {
   }
 }
 
+// Frame-aware messaging: every frame runs its own content script, so page
+// analysis and filling fan out to each frame and are merged here
+async function getTabFrames(tabId) {
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId });
+    if (frames && frames.length > 0) {
+      return frames;
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not list frames, using the top frame only:', error);
+  }
+  return [{ frameId: 0, parentFrameId: -1, url: '' }];
+}
+
+async function sendToFrame(tabId, frameId, message) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, message, { frameId });
+  } catch (error) {
+    // Frames without a content script (about:blank, error pages) never answer
+    console.warn(`⚠️ Frame ${frameId} did not respond to "${message.action}":`, error.message);
+    return null;
+  }
+}
+
+async function handleAnalyzeTab(tabId) {
+  console.group('📄 Analyzing all frames');
+  
+  try {
+    await sendToFrame(tabId, 0, { action: 'showIndicator', message: 'Analyzing page...' });
+    
+    // A fresh analysis replaces whatever was stored for this tab
+    await clearTabAnalysis(tabId);
+    
+    const frames = await getTabFrames(tabId);
+    console.log(`🖼️ Found ${frames.length} frame(s)`);
+    
+    for (const frame of frames) {
+      await analyzeFrame(tabId, frame.frameId, frame.url);
+    }
+    
+    const analysis = await loadTabAnalysis(tabId);
+    const mergedFields = mergeFrameFields(analysis);
+    
+    if (Object.keys(mergedFields).length === 0) {
+      console.log('⚠️ No forms found in any frame');
+      return { success: false, fields: {}, frames: [] };
+    }
+    
+    const frameSummaries = Object.entries(analysis.frames).map(([frameId, frame]) => ({
+      frameId: Number(frameId),
+      url: frame.url,
+      fieldCount: Object.keys(frame.fields).length
+    }));
+    return { success: true, fields: mergedFields, frames: frameSummaries };
+    
+  } finally {
+    await sendToFrame(tabId, 0, { action: 'hideIndicator' });
+    console.groupEnd();
+  }
+}
+
+// Asks one frame to analyse itself and stores the result; returns its fields
+async function analyzeFrame(tabId, frameId, fallbackUrl = '') {
+  const response = await sendToFrame(tabId, frameId, { action: 'readPage' });
+  const fields = response?.fields || {};
+  const fieldCount = Object.keys(fields).length;
+  
+  if (fieldCount === 0) {
+    await clearFrameAnalysis(tabId, frameId);
+    return {};
+  }
+  
+  const url = response.url || fallbackUrl;
+  await saveFrameAnalysis(tabId, frameId, { url, fields, signature: response.signature });
+  console.log(`📝 Frame ${frameId} (${url}): ${fieldCount} fields`);
+  return fields;
+}
+
+// Form analysis state lives in session storage (never synced across devices),
+// keyed by tab and then frame, and is dropped when the tab closes or navigates
+function getAnalysisKey(tabId) {
+  return `analysis_${tabId}`;
+}
+
+async function loadTabAnalysis(tabId) {
+  const key = getAnalysisKey(tabId);
+  const result = await chrome.storage.session.get(key);
+  return result[key] || null;
+}
+
+// Each tab's analysis is one storage entry that frames update in turn; live
+// updates from several frames arrive together, so the read-modify-write
+// cycles are queued per tab instead of overwriting each other
+const analysisWrites = new Map();
+
+function queueAnalysisWrite(tabId, write) {
+  const queued = (analysisWrites.get(tabId) || Promise.resolve()).then(write);
+  // A failed write is reported to its caller and doesn't block the next one
+  const settled = queued.catch(() => {});
+  analysisWrites.set(tabId, settled);
+  settled.then(() => {
+    if (analysisWrites.get(tabId) === settled) analysisWrites.delete(tabId);
+  });
+  return queued;
+}
+
+function saveFrameAnalysis(tabId, frameId, { url, fields, signature }) {
+  return queueAnalysisWrite(tabId, async () => {
+    const analysis = await loadTabAnalysis(tabId) || { tabId, frames: {} };
+    
+    analysis.frames[frameId] = { url, fields, signature, analyzedAt: Date.now() };
+    await chrome.storage.session.set({ [getAnalysisKey(tabId)]: analysis });
+    console.log(`💾 Saved analysis for tab ${tabId}, frame ${frameId}`);
+  });
+}
+
+function clearFrameAnalysis(tabId, frameId) {
+  return queueAnalysisWrite(tabId, async () => {
+    const analysis = await loadTabAnalysis(tabId);
+    if (!analysis || !analysis.frames[frameId]) return;
+    
+    delete analysis.frames[frameId];
+    if (Object.keys(analysis.frames).length === 0) {
+      await chrome.storage.session.remove(getAnalysisKey(tabId));
+    } else {
+      await chrome.storage.session.set({ [getAnalysisKey(tabId)]: analysis });
+    }
+  });
+}
+
+function clearTabAnalysis(tabId) {
+  return queueAnalysisWrite(tabId, () => chrome.storage.session.remove(getAnalysisKey(tabId)));
+}
+
+// Flattens per-frame fields into one map; keys are only unique within a frame
+function mergeFrameFields(analysis) {
+  const mergedFields = {};
+  
+  for (const [frameId, frame] of Object.entries(analysis?.frames || {})) {
+    for (const [fieldKey, field] of Object.entries(frame.fields)) {
+      mergedFields[`${frameId}:${fieldKey}`] = {
+        ...field,
+        fieldKey,
+        frameId: Number(frameId),
+        frameUrl: frame.url
+      };
+    }
+  }
+  
+  return mergedFields;
+}
+
+// Stale analysis cleanup
+chrome.tabs.onRemoved.addListener(tabId => {
+  clearTabAnalysis(tabId);
+});
+
+chrome.webNavigation.onCommitted.addListener(({ tabId, frameId }) => {
+  // A new document in the top frame invalidates every frame of the tab
+  if (frameId === 0) {
+    clearTabAnalysis(tabId);
+  } else {
+    clearFrameAnalysis(tabId, frameId);
+  }
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  // Older versions kept one global analysis in sync and local storage
+  chrome.storage.sync.remove('formFields');
+  chrome.storage.local.remove(['formFields', 'formFieldsTabId']);
+  
+  chrome.contextMenus.create({
+    id: 'suggestForField',
+    title: 'AI Form Filler: suggest for this field',
+    contexts: ['editable']
+  });
+});
+
+// The frame that was right-clicked shows the suggestions for its own field
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === 'suggestForField' && tab?.id !== undefined) {
+    sendToFrame(tab.id, info.frameId ?? 0, { action: 'suggestForField' });
+  }
+});
+
+// A content script's live analysis noticed fields being added or removed;
+// replace that frame's part of the stored analysis
+async function handleFrameFieldsUpdated(tabId, frameId, fields, url, signature) {
+  if (tabId === undefined || !(await loadTabAnalysis(tabId))) {
+    return; // Only tabs that have been analysed are tracked
+  }
+  
+  console.log(`🔄 Live update from tab ${tabId}, frame ${frameId}: ${Object.keys(fields || {}).length} fields`);
+  if (Object.keys(fields || {}).length === 0) {
+    await clearFrameAnalysis(tabId, frameId);
+  } else {
+    await saveFrameAnalysis(tabId, frameId, { url, fields, signature });
+  }
+}
+
+// Compares the stored schema of a frame with what the page shows now
+async function isFrameAnalysisCurrent(tabId, frameId, frame) {
+  const schema = await sendToFrame(tabId, frameId, { action: 'getSchema' });
+  if (!schema) return false;
+  
+  const stripHash = url => (url || '').split('#')[0];
+  if (stripHash(schema.url) !== stripHash(frame.url)) {
+    console.log(`🔀 Frame ${frameId} navigated: ${frame.url} → ${schema.url}`);
+    return false;
+  }
+  if (schema.signature !== frame.signature) {
+    console.log(`🔀 Frame ${frameId} form schema changed since analysis`);
+    return false;
+  }
+  return true;
+}
+
+// Which pre-filled fields a fill may replace: 'empty', 'ours' or 'all' (see
+// canOverwriteField in content.js). Chosen per site in the popup
+const DEFAULT_OVERWRITE_POLICY = 'ours';
+
+async function getOverwritePolicy(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const { overwritePolicies = {} } = await chrome.storage.local.get('overwritePolicies');
+    return overwritePolicies[new URL(tab.url).hostname] || DEFAULT_OVERWRITE_POLICY;
+  } catch (error) {
+    console.warn('⚠️ Could not read the overwrite policy, using the default:', error);
+    return DEFAULT_OVERWRITE_POLICY;
+  }
+}
+
+// review asks each frame to show its proposed values for approval first
+async function handleFillTab(tabId, customInstructions, visibleOnly = false, review = false) {
+  console.group('🤖 Filling all frames');
+  const controller = new AbortController();
+  fillControllers.set(tabId, controller);
+  
+  try {
+    const overwritePolicy = await getOverwritePolicy(tabId);
+    console.log(`🛡️ Overwrite policy: ${overwritePolicy}`);
+    
+    // Group fields by the frame that owns them
+    const fieldsByFrame = {};
+    
+    if (visibleOnly) {
+      // Each frame fills what its live analysis currently shows on screen
+      const frames = await getTabFrames(tabId);
+      frames.forEach(frame => { fieldsByFrame[frame.frameId] = null; });
+    } else {
+      const analysis = await loadTabAnalysis(tabId);
+      if (!analysis || Object.keys(analysis.frames).length === 0) {
+        console.warn('⚠️ No form fields data found for this tab. Run page analysis first.');
+        return { success: false, error: 'No saved data to fill forms' };
+      }
+      
+      for (const [frameId, frame] of Object.entries(analysis.frames)) {
+        let fields = frame.fields;
+        
+        // Re-analyse frames whose page no longer matches the stored schema
+        if (!(await isFrameAnalysisCurrent(tabId, Number(frameId), frame))) {
+          console.log(`🔄 Re-analysing frame ${frameId} before filling`);
+          fields = await analyzeFrame(tabId, Number(frameId), frame.url);
+        }
+        
+        if (Object.keys(fields).length > 0) {
+          fieldsByFrame[frameId] = fields;
+        }
+      }
+      
+      if (Object.keys(fieldsByFrame).length === 0) {
+        console.warn('⚠️ The page changed and no fields were found on re-analysis');
+        return { success: false, error: 'The page changed since it was analysed and no fields were found' };
+      }
+    }
+    
+    await sendToFrame(tabId, 0, { action: 'showIndicator', message: review ? 'Preparing values for review...' : 'Filling forms...' });
+    
+    let filledFrames = 0;
+    let filledFields = 0;
+    let reviewedFrames = 0;
+    const unsatisfied = [];
+    const invalid = [];
+    const conflicts = [];
+    // Every field's outcome across all frames
+    const report = [];
+    for (const [frameId, fields] of Object.entries(fieldsByFrame)) {
+      if (controller.signal.aborted) {
+        console.log(`⏹️ Fill cancelled, skipping frame ${frameId}`);
+        continue;
+      }
+      console.log(fields
+        ? `📝 Sending ${Object.keys(fields).length} fields to frame ${frameId}`
+        : `📝 Asking frame ${frameId} to fill its visible fields`);
+      const response = await sendToFrame(tabId, Number(frameId), {
+        action: 'fillForm',
+        fields,
+        visibleOnly,
+        review,
+        overwritePolicy,
+        customInstructions
+      });
+      if (response?.success) {
+        filledFrames++;
+        filledFields += response.filledCount || 0;
+      }
+      if (response?.reviewed) {
+        reviewedFrames++;
+      }
+      (response?.unsatisfied || []).forEach(field => unsatisfied.push({ ...field, frameId: Number(frameId) }));
+      (response?.invalid || []).forEach(field => invalid.push({ ...field, frameId: Number(frameId) }));
+      (response?.conflicts || []).forEach(field => conflicts.push({ ...field, frameId: Number(frameId) }));
+      (response?.report || []).forEach(field => report.push({ ...field, frameId: Number(frameId) }));
+    }
+    
+    console.log(`✅ Filled forms in ${filledFrames}/${Object.keys(fieldsByFrame).length} frame(s)`);
+    if (unsatisfied.length > 0) {
+      console.warn(`⛔ ${unsatisfied.length} field(s) left empty because no value met their constraints`);
+    }
+    if (invalid.length > 0) {
+      console.warn(`⛔ ${invalid.length} field(s) still rejected by the page after correction`);
+    }
+    if (conflicts.length > 0) {
+      console.warn(`⚠️ ${conflicts.length} pre-filled field(s) kept although the library disagrees`);
+    }
+    const cancelled = controller.signal.aborted;
+    if (cancelled) {
+      console.log(`⏹️ Fill cancelled after ${filledFields} field(s)`);
+    }
+    if (filledFields > 0) {
+      await sendToFrame(tabId, 0, { action: 'hideIndicator' });
+      await sendToFrame(tabId, 0, { action: 'showUndoOffer', filledCount: filledFields });
+    }
+    return { success: filledFrames > 0, reviewed: reviewedFrames > 0, cancelled, filledCount: filledFields, unsatisfied, invalid, conflicts, report };
+    
+  } finally {
+    if (fillControllers.get(tabId) === controller) {
+      fillControllers.delete(tabId);
+    }
+    await sendToFrame(tabId, 0, { action: 'hideIndicator' });
+    console.groupEnd();
+  }
+}
+
+// Stops the tab's fill at the next field (every frame is told, since each runs
+// its own loop) and the file upload at the next chunk
+async function handleCancelJobs(tabId) {
+  console.log('⏹️ Cancel requested');
+  let cancelled = false;
+  
+  // The frames stop first: a search aborted here answers "cancelled", and a
+  // frame that hasn't heard yet would go on to the next field
+  const controller = fillControllers.get(tabId);
+  if (controller) {
+    const frames = await getTabFrames(tabId);
+    await Promise.all(frames.map(frame => sendToFrame(tabId, frame.frameId, { action: 'cancelFill' })));
+    controller.abort();
+    cancelled = true;
+  }
+  
+  if (uploadController) {
+    uploadController.abort();
+    cancelled = true;
+  }
+  
+  return { success: cancelled };
+}
+
+// Every frame restores the fields it filled last time
+async function handleUndoTab(tabId) {
+  console.group('↩️ Undoing the last fill in all frames');
+  
+  try {
+    const frames = await getTabFrames(tabId);
+    let restored = 0;
+    for (const frame of frames) {
+      const response = await sendToFrame(tabId, frame.frameId, { action: 'undoFill' });
+      restored += response?.restored || 0;
+    }
+    
+    console.log(`✅ Restored ${restored} element(s)`);
+    return { success: restored > 0, restored };
+  } finally {
+    console.groupEnd();
+  }
+}
+
 async function handleFileUpload(fileData, tabId) {
   console.group('📤 Handling File Upload');
   console.log('📄 File:', fileData.name, `(${fileData.size} bytes)`);
@@ -146,18 +702,73 @@ async function handleFileUpload(fileData, tabId) {
     if (tabId) await setWorkingIcon(tabId);
     
     await initializeServices();
-    const result = await fileService.processFile(fileData);
+    
+    // Keep the original bytes so the file can be attached to upload fields
+    const { blob, ...fileInfo } = fileData;
+    if (blob) {
+      await blobStore.put(fileData.name, BlobStore.base64ToBlob(blob, fileData.type), {
+        type: fileData.type,
+        lastModified: fileData.lastModified
+      });
+      console.log(`💾 Stored original file (${fileData.size} bytes)`);
+    }
+    
+    // PDFs and Word/OpenDocument files arrive without text; it is extracted
+    // here (PDFs page by page)
+    const pages = blob && isPdfFile(fileData) ? await extractPdfPages(blob) : null;
+    const content = fileInfo.content ?? (blob && isOfficeFile(fileData) ? await extractOfficeText(blob) : null);
+    
+    // The overlap between chunks is a library setting in the popup
+    const { chunkOverlap } = await chrome.storage.local.get('chunkOverlap');
+    uploadController = new AbortController();
+    const result = await fileService.processFile(
+      { ...fileInfo, content, pages, hasBlob: Boolean(blob) },
+      uploadController.signal,
+      { chunkOverlap }
+    );
+    
+    if (result.cancelled) {
+      console.log(`⏹️ Upload cancelled after ${result.chunksProcessed}/${result.totalChunks} chunks`);
+      if (result.chunksProcessed === 0) {
+        // Nothing was embedded, so the file isn't in the library; drop its bytes too
+        await blobStore.delete(fileData.name);
+      }
+      if (tabId) await setNormalIcon(tabId);
+      return {
+        success: false,
+        message: `Cancelled after embedding ${result.chunksProcessed}/${result.totalChunks} chunks of ${result.fileName}`,
+        ...result
+      };
+    }
     
     console.log('✅ File upload processed successfully');
     console.log(`📊 Embedding Summary for "${result.fileName}":`);
     console.log(`   └─ Chunks processed: ${result.chunksProcessed}/${result.totalChunks}`);
     console.log(`   └─ Embeddings created: ${result.embeddingsCreated}`);
-    console.log(`   └─ Success rate: ${((result.chunksProcessed/result.totalChunks)*100).toFixed(1)}%`);
+    if (result.factsCount > 0) {
+      console.log(`   └─ Facts read: ${result.factsCount}`);
+    }
+    if (result.totalChunks > 0) {
+      console.log(`   └─ Success rate: ${((result.chunksProcessed/result.totalChunks)*100).toFixed(1)}%`);
+    }
+    
+    // Read the personal profile out of the new chunks; the upload stands
+    // whether or not this works out
+    if (result.chunksProcessed > 0) {
+      try {
+        result.profileEntries = await profileService.extractFromFile(result.fileName, uploadController.signal);
+      } catch (error) {
+        console.warn(error.name === 'AbortError' ? '⏹️ Profile extraction cancelled' : '⚠️ Profile extraction failed:', error);
+      }
+    }
     
     if (tabId) await setNormalIcon(tabId);
     return { 
       success: true, 
-      message: `Successfully embedded ${result.chunksProcessed} chunks from ${result.fileName}`,
+      message: result.totalChunks > 0
+        ? `Successfully embedded ${result.chunksProcessed} chunks from ${result.fileName}`
+        : `Stored ${result.fileName} for attaching to upload fields`,
+      attachmentOnly: result.totalChunks === 0,
       ...result 
     };
     
@@ -172,47 +783,190 @@ async function handleFileUpload(fileData, tabId) {
     
     throw error;
   } finally {
+    uploadController = null;
     console.groupEnd();
   }
 }
 
-async function handleKnowledgeSearch(query, fieldType, fieldTitle, customInstructions, tabId) {
+function isPdfFile(file) {
+  return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+}
+
+// [{ page, text }] from a PDF's base64 bytes, or null when it has no text
+// layer (a scan) or can't be read, in which case it is kept as an attachment only
+async function extractPdfPages(base64) {
+  try {
+    const bytes = new Uint8Array(await BlobStore.base64ToBlob(base64).arrayBuffer());
+    const pages = await pdfExtractor.extractPages(bytes);
+    if (pages.some(page => page.text.trim())) {
+      return pages;
+    }
+    console.warn('⚠️ PDF has no text layer, storing it for upload fields only');
+  } catch (error) {
+    console.warn('⚠️ Could not extract PDF text:', error.message);
+  }
+  return null;
+}
+
+function isOfficeFile(file) {
+  return /\.(docx|odt)$/i.test(file.name) ||
+    ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/vnd.oasis.opendocument.text'].includes(file.type);
+}
+
+// Structured text of a .docx or .odt file, or null when it can't be read
+async function extractOfficeText(base64) {
+  try {
+    const bytes = new Uint8Array(await BlobStore.base64ToBlob(base64).arrayBuffer());
+    const text = await officeExtractor.extractText(bytes);
+    if (text.trim()) {
+      return text;
+    }
+    console.warn('⚠️ Document has no text, storing it for upload fields only');
+  } catch (error) {
+    console.warn('⚠️ Could not extract document text:', error.message);
+  }
+  return null;
+}
+
+// What kind of document a file upload field asks for, and what a stored file
+// is. Words are bounded by non-letters, since \b counts "_" in "John_CV.pdf" as part of the word
+const DOCUMENT_KINDS = {
+  cv: /(?<![a-z])(cv|resume|résumé|curriculum|vitae)(?![a-z])/i,
+  cover_letter: /(?<![a-z])(cover.?letter|motivation|personal.?statement)s?(?![a-z])/i,
+  certificate: /(?<![a-z])(certificat(e|ion)|diploma|degree|award)s?(?![a-z])/i,
+  transcript: /(?<![a-z])(transcript|grade|academic.?record)s?(?![a-z])/i,
+  photo: /(?<![a-z])(photo(graph)?|picture|headshot|portrait|avatar)s?(?![a-z])/i,
+  id_document: /(?<![a-z])(passport|identity|id.?card|driv(er|ing).?licen[cs]e)s?(?![a-z])/i,
+  portfolio: /(?<![a-z])(portfolio|work.?sample|writing.?sample)s?(?![a-z])/i
+};
+
+function getDocumentKind(text) {
+  if (!text) return null;
+  const match = Object.entries(DOCUMENT_KINDS).find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+// Picks the stored document that best fits a file upload field, by the kind
+// of document its title asks for (CV, cover letter, certificate...) matched
+// against each file's name and opening text. field is { title, fileNames },
+// fileNames being the library files the field's accept filter allows (checked
+// by the content script). Resolves with the file's bytes as base64, or
+// success false when nothing fits
+async function handleLibraryFileRequest(field) {
+  console.group(`📎 Choosing a library file for: ${field.title}`);
+  
+  try {
+    const { uploadedFiles = [], knowledgeBase = [] } = await chrome.storage.local.get(['uploadedFiles', 'knowledgeBase']);
+    const storedNames = await blobStore.listNames();
+    const candidates = uploadedFiles.filter(file => storedNames.includes(file.name) && field.fileNames.includes(file.name));
+    console.log(`📚 ${candidates.length} stored file(s) match the field's accept filter`);
+    
+    const wantedKind = getDocumentKind(field.title);
+    const titleWords = (field.title || '').toLowerCase().split(/\W+/).filter(word => word.length > 3);
+    
+    const scored = candidates.map(file => {
+      const openingText = knowledgeBase.find(chunk => chunk.fileName === file.name && chunk.chunkIndex === 0)?.content || '';
+      const fileKind = getDocumentKind(file.name);
+      let score = 0;
+      if (wantedKind && fileKind === wantedKind) score += 3;
+      // A CV is never the answer to "Passport scan"
+      if (wantedKind && fileKind && fileKind !== wantedKind) score -= 3;
+      if (wantedKind && getDocumentKind(openingText.substring(0, 300)) === wantedKind) score += 1;
+      score += titleWords.filter(word => file.name.toLowerCase().includes(word)).length * 0.5;
+      return { file, score };
+    }).sort((a, b) => b.score - a.score);
+    
+    scored.forEach(({ file, score }) => console.log(`   └─ ${file.name}: ${score}`));
+    
+    // With nothing to go on either way, a single candidate is still a safe pick
+    const best = scored[0]?.score > 0 || (scored.length === 1 && scored[0].score === 0) ? scored[0] : null;
+    if (!best) {
+      console.log('📭 No stored file fits this field');
+      return { success: false, error: 'No document in the library matches this upload field' };
+    }
+    
+    const stored = await blobStore.get(best.file.name);
+    console.log(`✅ Chose "${best.file.name}"`);
+    return {
+      success: true,
+      file: {
+        name: stored.name,
+        type: stored.type || stored.blob.type,
+        lastModified: stored.lastModified || stored.storedAt,
+        data: await BlobStore.blobToBase64(stored.blob)
+      },
+      confidence: best.score >= 3 ? 0.9 : 0.6
+    };
+  } finally {
+    console.groupEnd();
+  }
+}
+
+// field describes the form field being filled: { type, title, semanticType,
+// choices, constraints, rejected }. rejected is set on a retry and lists the
+// earlier candidates that broke the field's constraints
+async function handleKnowledgeSearch(query, field, customInstructions, tabId) {
+  const { type: fieldType, title: fieldTitle, semanticType, choices } = field;
   console.group('🔍 Handling Knowledge Search');
   console.log('🔎 Query:', query);
   console.log('📝 Field Type:', fieldType);
   console.log('🏷️ Field Title:', fieldTitle);
+  console.log('🧭 Semantic Type:', semanticType || 'unknown');
   console.log('📋 Custom Instructions:', customInstructions || 'None');
+  if (choices) {
+    console.log('☑️ Options:', choices.options.join(', '), choices.multiple ? '(multiple)' : '(single)');
+  }
+  
+  // Aborted by the popup's Stop button while this tab is being filled
+  const signal = fillControllers.get(tabId)?.signal;
   
   try {
     await initializeServices();
     
+    // The knowledge base had its chance; ask Gemini with the constraints spelled out
+    if (field.rejected?.length > 0) {
+      console.log(`🔁 Retrying after ${field.rejected.length} rejected value(s)`);
+      const geminiSuggestion = await generateGeminiSuggestion(query, field, customInstructions, signal);
+      return { success: true, suggestions: geminiSuggestion ? [createGeminiMatch(geminiSuggestion)] : [] };
+    }
+    
+    // The profile comes first: details read from every document, or typed in the popup
+    const profileMatches = findFactMatches(field, await profileService.getFacts(), 'profile');
+    if (profileMatches.length > 0) {
+      console.log(`👤 ${profileMatches.length} profile detail(s) match, best: "${profileMatches[0].content}"`);
+      return { success: true, suggestions: profileMatches };
+    }
+    
+    // Facts from JSON/CSV files answer the field exactly when their key names it
+    const { knowledgeFacts = [] } = await chrome.storage.local.get('knowledgeFacts');
+    const factMatches = findFactMatches(field, knowledgeFacts);
+    if (factMatches.length > 0) {
+      console.log(`🗝️ ${factMatches.length} fact(s) match, best: "${factMatches[0].content}"`);
+      return { success: true, suggestions: factMatches };
+    }
+    
     // Search the knowledge base first (without custom instructions)
-    const similarChunks = await fileService.searchSimilarContent(query, 3);
+    const searchQuery = [query, SemanticTypes.getQueryTerms(semanticType)].filter(Boolean).join(' ');
+    const similarChunks = await fileService.searchSimilarContent(searchQuery, 3, signal);
     
     if (similarChunks.length === 0) {
       console.log('📭 No relevant content found in knowledge base, attempting Gemini fallback');
       
       // Use Gemini as fallback to generate intelligent suggestions (WITH custom instructions)
       try {
-        const geminiSuggestion = await generateGeminiSuggestion(query, fieldType, fieldTitle, customInstructions);
+        const geminiSuggestion = await generateGeminiSuggestion(query, field, customInstructions, signal);
         
         if (geminiSuggestion && geminiSuggestion.trim().length > 0) {
           console.log('🤖 Gemini generated suggestion:', geminiSuggestion);
           return { 
             success: true, 
-            suggestions: [{
-              content: geminiSuggestion,
-              extractedValue: geminiSuggestion,
-              similarity: 0.8,
-              source: 'gemini_ai',
-              fileName: 'AI Generated',
-              relevanceScore: 0.9
-            }]
+            suggestions: [createGeminiMatch(geminiSuggestion)]
           };
         } else {
           console.warn('⚠️ Gemini returned empty suggestion');
         }
       } catch (geminiError) {
+        if (geminiError.name === 'AbortError') throw geminiError;
         console.error('❌ Gemini fallback failed:', geminiError);
       }
       
@@ -222,12 +976,25 @@ async function handleKnowledgeSearch(query, fieldType, fieldTitle, customInstruc
     }
     
     // Process the knowledge base results to extract meaningful values
-    const suggestions = await processKnowledgeResults(similarChunks, fieldType, fieldTitle);
+    const suggestions = await processKnowledgeResults(similarChunks, field);
+    
+    // Choice fields need an actual option; let Gemini pick one when no chunk names any
+    if (choices && !suggestions.some(suggestion => suggestion.extractedValue)) {
+      console.log('☑️ No option found in knowledge base content, asking Gemini to choose');
+      const geminiSuggestion = await generateGeminiSuggestion(query, field, customInstructions, signal);
+      if (geminiSuggestion) {
+        suggestions.unshift(createGeminiMatch(geminiSuggestion));
+      }
+    }
     
     console.log(`✅ Knowledge search completed with ${suggestions.length} suggestions`);
     return { success: true, suggestions };
     
   } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('⏹️ Knowledge search cancelled');
+      return { success: false, cancelled: true, error: 'Cancelled', suggestions: [] };
+    }
     console.error('❌ Error handling knowledge search:', error);
     
     // Check if error is due to missing API key
@@ -246,20 +1013,32 @@ async function handleKnowledgeSearch(query, fieldType, fieldTitle, customInstruc
   }
 }
 
-async function generateGeminiSuggestion(query, fieldType, fieldTitle, customInstructions = '') {
+function createGeminiMatch(suggestion) {
+  return {
+    content: suggestion,
+    extractedValue: suggestion,
+    similarity: 0.8,
+    source: 'gemini_ai',
+    fileName: 'AI Generated',
+    relevanceScore: 0.9
+  };
+}
+
+async function generateGeminiSuggestion(query, field, customInstructions = '', signal = null) {
   console.group('🤖 Generating Gemini suggestion');
-  console.log('📝 Field details:', { query, fieldType, fieldTitle });
+  console.log('📝 Field details:', { query, ...field });
   console.log('📋 Custom instructions:', customInstructions || 'None');
   
   try {
     // Create an intelligent prompt based on field context and custom instructions
-    const prompt = createGeminiPrompt(query, fieldType, fieldTitle, customInstructions);
+    const prompt = createGeminiPrompt(query, field, customInstructions);
     console.log('💭 Prompt created, length:', prompt.length);
     console.log('💭 Prompt preview:', prompt.substring(0, 300) + '...');
     
     // Use Gemini service to generate suggestion
     console.log('🔄 Calling Gemini service...');
-    const suggestion = await geminiService.generateFieldSuggestion(prompt, fieldType);
+    const rawSuggestion = await geminiService.generateFieldSuggestion(prompt, getValidationType(field), signal);
+    const suggestion = field.choices ? rawSuggestion : SemanticTypes.formatValue(rawSuggestion, field.semanticType);
     
     if (suggestion && suggestion.trim().length > 0) {
       console.log('✅ Gemini suggestion generated successfully:', suggestion);
@@ -270,6 +1049,7 @@ async function generateGeminiSuggestion(query, fieldType, fieldTitle, customInst
     }
     
   } catch (error) {
+    if (error.name === 'AbortError') throw error;
     console.error('❌ Error generating Gemini suggestion:', error);
     console.error('❌ Error details:', error.message);
     return null;
@@ -278,14 +1058,26 @@ async function generateGeminiSuggestion(query, fieldType, fieldTitle, customInst
   }
 }
 
-function createGeminiPrompt(query, fieldType, fieldTitle, customInstructions = '') {
+// Which of GeminiService's format checks applies: a text input classified as
+// an email or URL is validated as one. Phone parts and free-text dates keep the
+// input type so their answers aren't replaced by placeholder fallbacks
+function getValidationType(field) {
+  const kind = SemanticTypes.getKind(field.semanticType, field.type);
+  return ['email', 'url'].includes(kind) ? kind : field.type;
+}
+
+function createGeminiPrompt(query, field, customInstructions = '') {
+  const { type: fieldType, title: fieldTitle, semanticType, choices } = field;
+  const semanticInfo = SemanticTypes.get(semanticType);
+  const constraintSection = createConstraintSection(field);
   const basePrompt = `You are an intelligent form filling assistant. Based on the field context provided, generate an appropriate value for this form field.
 
 Field Information:
 - Field Title: "${fieldTitle}"
-- Field Type: "${fieldType}"
+- Field Type: "${fieldType}"${semanticType ? `
+- Canonical Type: "${semanticType}" (HTML autocomplete token)` : ''}
 - Search Query: "${query}"
-
+${constraintSection}
 Instructions:
 1. Generate a realistic, appropriate value for this field type
 2. Consider common conventions and formats for ${fieldType} fields
@@ -304,6 +1096,13 @@ ${customInstructions}
 Please follow these custom instructions when generating the field value. They take priority over the default instructions above.`;
   }
 
+  // A known canonical type says exactly what the value must be
+  if (semanticInfo) {
+    return basePrompt + customInstructionSection + `
+6. This field expects ${semanticInfo.guidance}
+7. Return only that value, with no label or surrounding text` + createChoicesSection(choices);
+  }
+
   // Add field-specific guidance
   let fieldSpecificGuidance = '';
   switch (fieldType?.toLowerCase()) {
@@ -335,6 +1134,30 @@ Please follow these custom instructions when generating the field value. They ta
 8. Consider if this might be a birth date, start date, or other specific date type`;
       break;
 
+    case 'time':
+      fieldSpecificGuidance = `
+6. Generate a time in 24-hour HH:MM format
+7. Use a reasonable time for the context`;
+      break;
+
+    case 'month':
+      fieldSpecificGuidance = `
+6. Generate a month in YYYY-MM format
+7. Use a reasonable month for the context`;
+      break;
+
+    case 'week':
+      fieldSpecificGuidance = `
+6. Generate a week in YYYY-Www format (e.g., 2024-W05)
+7. Use a reasonable week for the context`;
+      break;
+
+    case 'datetime-local':
+      fieldSpecificGuidance = `
+6. Generate a date and time in YYYY-MM-DDTHH:MM format
+7. Use a reasonable date and time for the context`;
+      break;
+
     case 'number':
       fieldSpecificGuidance = `
 6. Generate a realistic number appropriate for the context
@@ -387,10 +1210,130 @@ Please follow these custom instructions when generating the field value. They ta
       break;
   }
 
-  return basePrompt + customInstructionSection + fieldSpecificGuidance;
+  return basePrompt + customInstructionSection + fieldSpecificGuidance + createChoicesSection(choices);
 }
 
-async function processKnowledgeResults(chunks, fieldType, fieldTitle) {
+// Lists a choice field's options after the rest of the guidance: the only
+// values a select or radio group takes, or a datalist's suggestions
+function createChoicesSection(choices) {
+  if (!choices?.options?.length) return '';
+  const options = choices.options.map(option => `- ${option}`).join('\n');
+
+  // Datalist fields suggest options but accept any value
+  if (choices.restricted === false) {
+    return `
+
+Suggested Values (prefer one of them, exactly as written, when it fits; otherwise return your own value):
+${options}`;
+  }
+
+  return `
+
+Allowed Options (the field accepts nothing else; do not return any value that is not in the list):
+${options}
+${choices.multiple
+    ? 'Return one or more of these options, exactly as written, separated by commas.'
+    : 'Return exactly one of these options, exactly as written.'}`;
+}
+
+// States the field's HTML constraints, and on a retry the values that broke
+// them, so Gemini can produce something the page will accept
+function createConstraintSection(field) {
+  const { constraints, rejected } = field;
+  const rules = [];
+  
+  if (constraints) {
+    if (constraints.pattern) rules.push(`must match the regular expression ^(?:${constraints.pattern})$`);
+    if (constraints.minLength) rules.push(`must be at least ${constraints.minLength} characters long`);
+    if (constraints.maxLength >= 0) rules.push(`must be at most ${constraints.maxLength} characters long`);
+    if (constraints.min) rules.push(`must not be less than ${constraints.min}`);
+    if (constraints.max) rules.push(`must not be greater than ${constraints.max}`);
+    if (constraints.step && constraints.step !== 'any') rules.push(`must be a multiple of ${constraints.step}${constraints.min ? ` counted from ${constraints.min}` : ''}`);
+    if (constraints.accept) rules.push(`must be a file of type ${constraints.accept}`);
+  }
+  
+  let section = '';
+  
+  if (rules.length > 0) {
+    section += `
+Value Constraints (the value MUST satisfy all of them):
+${rules.map(rule => `- The value ${rule}`).join('\n')}
+`;
+  }
+  
+  if (rejected?.length > 0) {
+    section += `
+These values were already rejected; do not repeat them:
+${rejected.map(({ value, violations }) => `- "${value}": ${violations.join('; ')}`).join('\n')}
+`;
+  }
+  
+  return section;
+}
+
+const FACT_MATCH_THRESHOLD = 0.7;
+// Words of a field title that say nothing about the value asked for
+const TITLE_FILLER_WORDS = new Set(['your', 'the', 'a', 'an', 'of', 'please', 'enter', 'provide', 'here', 'my']);
+
+// Structured facts (JSON key paths, CSV columns, profile details) that answer
+// the field directly, best first: the key names the field's canonical type,
+// or says what its title says. Earlier facts win ties, so the first record of
+// a list (usually the latest job) comes first
+function findFactMatches(field, facts, source = 'knowledge_base') {
+  if (facts.length === 0) return [];
+  
+  const titleWords = SemanticTypes.normalizeKey(field.title || '').split(' ')
+    .filter(word => word && !TITLE_FILLER_WORDS.has(word));
+  return facts
+    .map((fact, index) => ({ fact, index, score: scoreFact(fact, field.semanticType, titleWords) }))
+    .filter(({ score }) => score >= FACT_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ fact, score }) => createFactMatch(fact, score, field, source));
+}
+
+function scoreFact(fact, semanticType, titleWords) {
+  const typeScore = semanticType ? SemanticTypes.matchFactKey(semanticType, fact.key) * 0.95 : 0;
+  if (titleWords.length === 0) return typeScore;
+  
+  // Title and key words are compared in the singular, so "Reference" finds "references"
+  const title = titleWords.map(toSingular);
+  const name = SemanticTypes.getFactKeyName(fact.key).split(' ').map(toSingular);
+  if (name.join(' ') === title.join(' ')) return Math.max(typeScore, 0.9);
+  
+  // Every word of the key's name is in the title, and the key path covers
+  // all of it. Covering only part isn't enough without the type agreeing:
+  // "Earliest start date" isn't employment[0].startDate
+  const keyWords = SemanticTypes.normalizeKey(fact.key).split(' ').map(toSingular);
+  const covered = title.every(word => keyWords.includes(word));
+  const titleScore = covered && name.every(word => title.includes(word)) ? 0.8 : 0;
+  return Math.max(typeScore, titleScore);
+}
+
+// "references" → "reference"; "address" and "status" keep their s
+function toSingular(word) {
+  return /[^su]s$/.test(word) ? word.slice(0, -1) : word;
+}
+
+// Profile facts also carry their chunk's page, section and chunkId
+function createFactMatch(fact, score, field, source) {
+  const value = field.choices
+    ? extractChoicesFromContent(fact.value, field.choices) || fact.value
+    : SemanticTypes.formatValue(fact.value, field.semanticType);
+  return {
+    content: `${fact.key}: ${fact.value}`,
+    extractedValue: value,
+    similarity: score,
+    relevanceScore: 1,
+    source,
+    fileName: fact.fileName || (source === 'profile' ? 'your profile' : null),
+    factKey: fact.key,
+    page: fact.page ?? null,
+    section: fact.section || [],
+    chunkId: fact.chunkId || null
+  };
+}
+
+async function processKnowledgeResults(chunks, field) {
   console.group('🔄 Processing knowledge results');
   
   const suggestions = [];
@@ -398,12 +1341,16 @@ async function processKnowledgeResults(chunks, fieldType, fieldTitle) {
   for (const chunk of chunks) {
     try {
       // Try to extract relevant value from the content based on field type
-      const extractedValue = extractValueFromContent(chunk.content, fieldType, fieldTitle);
+      // Datalist options are only suggestions, so fall back to free text for them
+      const extractedValue = field.choices
+        ? extractChoicesFromContent(chunk.content, field.choices, field) ||
+          (field.choices.restricted === false ? extractValueFromContent(chunk.content, field) : null)
+        : extractValueFromContent(chunk.content, field);
       
       suggestions.push({
         ...chunk,
         extractedValue: extractedValue,
-        relevanceScore: calculateRelevanceScore(chunk, fieldType, fieldTitle)
+        relevanceScore: calculateRelevanceScore(chunk, field)
       });
       
     } catch (error) {
@@ -424,11 +1371,37 @@ async function processKnowledgeResults(chunks, fieldType, fieldTitle) {
   return suggestions;
 }
 
-function extractValueFromContent(content, fieldType, fieldTitle) {
+// Dates as written in documents: ISO, numeric with / . or -, and with month names
+const MONTH_NAME_PATTERN = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const DATE_TEXT_PATTERNS = [
+  /\d{4}-\d{1,2}-\d{1,2}(?:[T ]\d{1,2}:\d{2})?/,
+  /\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{2,4}/,
+  new RegExp(`\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME_PATTERN},?\\s+\\d{4}`, 'i'),
+  new RegExp(`${MONTH_NAME_PATTERN}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}`, 'i'),
+  new RegExp(`${MONTH_NAME_PATTERN}\\s+\\d{4}`, 'i')
+];
+const TIME_TEXT_PATTERN = /\b\d{1,2}:\d{2}\s*(?:[ap]\.?m\.?)?/i;
+
+function findDateText(content) {
+  for (const pattern of DATE_TEXT_PATTERNS) {
+    const match = content.match(pattern);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+function extractValueFromContent(content, field) {
+  const value = extractRawValueFromContent(content, field);
+  return SemanticTypes.formatValue(value, field.semanticType);
+}
+
+function extractRawValueFromContent(content, field) {
+  const { type: fieldType, title: fieldTitle, semanticType } = field;
   const lowerContent = content.toLowerCase();
   const lowerTitle = fieldTitle ? fieldTitle.toLowerCase() : '';
   
-  switch (fieldType?.toLowerCase()) {
+  // The canonical type picks the extraction strategy when it is known
+  switch (SemanticTypes.getKind(semanticType, fieldType)) {
     case 'email':
       const emailMatch = content.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
       return emailMatch ? emailMatch[0] : null;
@@ -442,41 +1415,96 @@ function extractValueFromContent(content, fieldType, fieldTitle) {
       return urlMatch ? urlMatch[0] : null;
       
     case 'date':
-      const dateMatch = content.match(/\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{4}|\d{1,2}-\d{1,2}-\d{4}/);
-      return dateMatch ? dateMatch[0] : null;
+    case 'date-part':
+    case 'month':
+    case 'week':
+    case 'datetime-local':
+      // The date is returned as written; the content script converts it to
+      // the field's format (or to the one part a day/month/year field needs)
+      return findDateText(content);
+      
+    case 'time':
+      const timeMatch = content.match(TIME_TEXT_PATTERN);
+      return timeMatch ? timeMatch[0] : null;
       
     case 'number':
       const numberMatch = content.match(/\d+(\.\d+)?/);
       return numberMatch ? numberMatch[0] : null;
       
+    case 'postal-code':
+      const postalMatch = content.match(/(?:postal|post|zip)\s*code[:\s]*([A-Z0-9][A-Z0-9 -]{2,9})/i) ||
+                          content.match(/\b(\d{3}\s?\d{2}|\d{5}(?:-\d{4})?)\b/);
+      return postalMatch ? postalMatch[1].trim() : null;
+      
     default:
-      // For text fields, try to find relevant sentences or phrases
-      if (lowerTitle && lowerTitle.length > 3) {
-        // Look for sentences containing the field title
-        const sentences = content.split(/[.!?]+/).map(s => s.trim()).filter(s => s.length > 10);
+      // For text fields, try to find relevant sentences or phrases. Look for
+      // the field title first, then the canonical type's keywords
+      const labels = [lowerTitle, ...(SemanticTypes.getKeywords(semanticType) || [])]
+        .filter(label => label && label.length > 3);
+      const sentences = content.split(/[.!?]+/).map(s => s.trim()).filter(s => s.length > 10);
+      
+      for (const label of labels) {
+        // Look for sentences containing the label
         const relevantSentence = sentences.find(sentence => 
-          sentence.toLowerCase().includes(lowerTitle)
+          sentence.toLowerCase().includes(label)
         );
         
         if (relevantSentence) {
-          // Extract the part after the title if possible
-          const titleIndex = relevantSentence.toLowerCase().indexOf(lowerTitle);
-          if (titleIndex !== -1) {
-            const afterTitle = relevantSentence.substring(titleIndex + lowerTitle.length).trim();
-            const match = afterTitle.match(/^[:\-\s]*([^,\.]+)/);
-            return match ? match[1].trim() : relevantSentence;
-          }
-          return relevantSentence;
+          // Extract the part after the label if possible
+          const labelIndex = relevantSentence.toLowerCase().indexOf(label);
+          const afterLabel = relevantSentence.substring(labelIndex + label.length).trim();
+          const match = afterLabel.match(/^[:\-\s]*([^,\.]+)/);
+          return match ? match[1].trim() : relevantSentence;
         }
       }
       
       // Fallback: return first meaningful sentence
-      const sentences = content.split(/[.!?]+/).map(s => s.trim()).filter(s => s.length > 10);
       return sentences[0] || content.substring(0, 50);
   }
 }
 
-function calculateRelevanceScore(chunk, fieldType, fieldTitle) {
+const CHOICE_ANCHOR_DISTANCE = 100; // characters between an option and the field's title or key
+
+// Picks the options that the content mentions (whole-word match). In a
+// knowledge chunk only mentions near the field's title words or type keywords
+// count, closest first; a "Yes" elsewhere in the prose answers nothing
+function extractChoicesFromContent(content, choices, field = null) {
+  const lowerContent = content.toLowerCase();
+  const anchors = field ? findChoiceAnchors(lowerContent, field) : null;
+  if (anchors?.length === 0) return null;
+
+  const mentioned = choices.options
+    .filter(option => option.trim())
+    .map(option => {
+      const escaped = option.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const positions = [...lowerContent.matchAll(new RegExp(`(?<=^|\\W)${escaped}(?=\\W|$)`, 'g'))]
+        .map(match => match.index);
+      const distance = anchors
+        ? Math.min(...positions.flatMap(position => anchors.map(anchor => Math.abs(position - anchor))))
+        : 0;
+      return { option, found: positions.length > 0, distance };
+    })
+    .filter(({ found, distance }) => found && distance <= CHOICE_ANCHOR_DISTANCE);
+
+  if (mentioned.length === 0) return null;
+  if (anchors) mentioned.sort((a, b) => a.distance - b.distance);
+  const options = mentioned.map(({ option }) => option);
+  return choices.multiple ? options.join(', ') : options[0];
+}
+
+// Offsets in content where the field's title words or its type's keywords appear
+function findChoiceAnchors(content, field) {
+  const titleWords = SemanticTypes.normalizeKey(field.title || '').split(' ')
+    .filter(word => word.length > 3 && !TITLE_FILLER_WORDS.has(word));
+  const keywords = (SemanticTypes.getKeywords(field.semanticType) || []).map(keyword => keyword.toLowerCase());
+  return [...new Set([...titleWords, ...keywords])].flatMap(term => {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return [...content.matchAll(new RegExp(`(?<=^|\\W)${escaped}`, 'g'))].map(match => match.index);
+  });
+}
+
+function calculateRelevanceScore(chunk, field) {
+  const { type: fieldType, title: fieldTitle, semanticType } = field;
   let score = 0;
   const content = chunk.content.toLowerCase();
   const title = fieldTitle ? fieldTitle.toLowerCase() : '';
@@ -495,7 +1523,7 @@ function calculateRelevanceScore(chunk, fieldType, fieldTitle) {
     number: ['number', 'amount', 'quantity', 'count']
   };
   
-  const keywords = typeKeywords[fieldType?.toLowerCase()] || [];
+  const keywords = SemanticTypes.getKeywords(semanticType) || typeKeywords[fieldType?.toLowerCase()] || [];
   const matchedKeywords = keywords.filter(keyword => content.includes(keyword));
   score += (matchedKeywords.length / keywords.length) * 0.3;
   
@@ -504,6 +1532,12 @@ function calculateRelevanceScore(chunk, fieldType, fieldTitle) {
     score += 0.2;
   }
   
+  // Bonus when the chunk's headings name the field ("Education" for a University field)
+  const section = (chunk.section || []).join(' ').toLowerCase();
+  if (section && ((title && section.includes(title)) || keywords.some(keyword => section.includes(keyword)))) {
+    score += 0.2;
+  }
+  
   return Math.min(score, 1.0);
 }
 
@@ -1,3 +1,7 @@
+// Content scripts run in every frame; background.js merges the per-frame
+// results and routes each field back to the frame that owns it
+const isTopFrame = window === window.top;
+
 // Listen for messages from the popup and background
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'ping') {
@@ -10,151 +14,312 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   switch (request.action) {
     case 'readPage':
       console.log('📄 Starting page analysis...');
-      showWorkingIndicator('Analyzing page...');
-      analyzePage().then(success => {
-        hideWorkingIndicator();
-        sendResponse({ success, message: success ? 'Page analyzed successfully' : 'No forms found' });
+      analyzePage().then(fields => {
+        const fieldCount = Object.keys(fields).length;
+        sendResponse({
+          success: fieldCount > 0,
+          fields,
+          url: window.location.href,
+          signature: computeSchemaSignature(fields),
+          message: fieldCount > 0 ? 'Page analyzed successfully' : 'No forms found'
+        });
       });
       break;
 
     case 'fillForm':
       console.log('🤖 Starting form fill process...');
       console.log('📝 Custom instructions:', request.customInstructions || 'None');
-      showWorkingIndicator('Filling forms...');
       
       // Start monitoring form submissions when user wants to fill forms
       monitorFormSubmissions();
       
-      fillFormsOnPage(request.customInstructions).then(success => {
-        hideWorkingIndicator();
-        sendResponse({ success, message: success ? 'Forms filled successfully' : 'Failed to fill forms' });
+      // visibleOnly fills whatever the live analysis currently sees on screen
+      (request.visibleOnly ? getVisibleLiveFields() : Promise.resolve(request.fields))
+        .then(fields => fillFormsOnPage(fields, request.customInstructions, request.review, request.overwritePolicy))
+        .then(({ success, reviewed, cancelled, filledCount, unsatisfied, invalid, conflicts, report }) => {
+          sendResponse({ success, reviewed, cancelled, filledCount, unsatisfied, invalid, conflicts, report, message: success ? 'Forms filled successfully' : 'Failed to fill forms' });
+        });
+      break;
+
+    case 'cancelFill':
+      // The running fill stops before its next field
+      fillAbortController?.abort();
+      sendResponse({ success: Boolean(fillAbortController) });
+      break;
+
+    case 'getSchema':
+      getLiveFields().then(fields => {
+        sendResponse({ url: window.location.href, signature: computeSchemaSignature(fields) });
+      });
+      break;
+
+    case 'showIndicator':
+      showWorkingIndicator(request.message);
+      sendResponse({ success: true });
+      break;
+
+    case 'showProgress':
+      updateWorkingProgress(request);
+      sendResponse({ success: true });
+      break;
+
+    case 'hideIndicator':
+      hideWorkingIndicator();
+      sendResponse({ success: true });
+      break;
+
+    case 'undoFill':
+      undoLastFill().then(restored => {
+        sendResponse({ success: restored > 0, restored });
       });
       break;
+
+    case 'suggestForField':
+      // The element that was right-clicked for the context menu entry
+      suggestForField(contextMenuTarget || getDeepActiveElement());
+      sendResponse({ success: true });
+      break;
+
+    case 'fillFocusedField':
+      fillFocusedField().then(result => sendResponse(result));
+      break;
+
+    case 'showUndoOffer':
+      showUndoOffer(request.filledCount);
+      sendResponse({ success: true });
+      break;
   }
   console.groupEnd();
   return true; // Keep the message channel open for async response
 });
 
 async function analyzePage() {
-  // Clear the cache before analyzing the page
-  try {
-    await chrome.storage.sync.remove('formFields');
-    await chrome.storage.local.remove('formFields');
-    console.log('🧹 Cleared form fields cache');
-  } catch (error) {
-    console.warn('⚠️ Failed to clear cache:', error);
+  // A same-origin child frame is already covered by its parent's traversal
+  // (see getSearchRoots), so only report it once
+  if (!isTopFrame && window.frameElement) {
+    console.log('ℹ️ Same-origin frame, fields are reported by the parent frame');
+    return {};
   }
 
   const forms = findForms();
   if (forms.length === 0) {
     console.log('⚠️ No forms found on page');
-    return false;
+    return {};
   }
 
   console.log(`📝 Found ${forms.length} forms`);
-  const formFields = await analyzeFormFields(forms);
-  
-  if (Object.keys(formFields).length > 0) {
-    // Compress the field data by removing unnecessary information
-    const compressedFields = {};
-    for (const [key, field] of Object.entries(formFields)) {
-      // Get all attributes needed for selection
-      const elementSelectors = {
-        id: field.id || '',
-        name: field.name || '',
-        className: field.className || '',
-        tagName: field.type === 'textarea' ? 'textarea' : 'input',
-        type: field.type || '',
-        ariaLabelledBy: field.attributes?.['aria-labelledby'] || '',
-        ariaLabel: field.attributes?.['aria-label'] || '',
-        cssPath: field.selectors?.cssPath || '',
-        jsname: field.attributes?.['jsname'] || '',
-        dataTestid: field.attributes?.['data-testid'] || ''
-      };
+  const fieldElements = new Map();
+  const formFields = await analyzeFormFields(forms, fieldElements);
+  
+  // Compress the field data by removing unnecessary information
+  const compressedFields = {};
+  for (const [key, field] of Object.entries(formFields)) {
+    compressedFields[key] = compressFieldInfo(key, field);
+  }
 
-      compressedFields[key] = {
-        type: field.type,
-        name: field.name,
-        id: field.id,
-        required: field.required,
-        title: field.title,
-        selectors: elementSelectors,
-        contextualInfo: {
-          label: field.contextualInfo.label,
-          ariaLabel: field.contextualInfo.ariaLabel,
-          headings: field.contextualInfo.headings.slice(0, 1),
-          contextClues: field.contextualInfo.contextClues
-            .filter(clue => clue.type === 'explicit_label' || clue.type === 'aria')
-            .slice(0, 2)
-        }
-      };
-    }
+  // Keep the analysis current as the page changes
+  startLiveAnalysis(compressedFields, fieldElements);
 
-    try {
-      let savedToSync = false;
-      // Try sync storage first for small forms (under 8KB)
-      const fieldsString = JSON.stringify(compressedFields);
-      if (fieldsString.length < 8000) { // Leave some buffer for storage overhead
-        try {
-          await chrome.storage.sync.set({ formFields: compressedFields });
-          console.log('💾 Saved form fields to sync storage');
-          savedToSync = true;
-        } catch (syncError) {
-          console.warn('⚠️ Sync storage failed:', syncError);
-        }
-      } else {
-        console.log('ℹ️ Form data too large for sync storage, using local storage only');
-      }
+  console.log(`✅ Analyzed ${Object.keys(compressedFields).length} fields in this frame`);
+  return compressedFields;
+}
 
-      // Always save to local storage (has much higher limits)
-      try {
-        await chrome.storage.local.set({ formFields: compressedFields });
-        console.log('💾 Saved form fields to local storage');
-      } catch (localError) {
-        console.error('❌ Local storage failed:', localError);
-        if (!savedToSync) {
-          throw new Error('Failed to save to both sync and local storage');
-        }
-      }
-      return true;
-    } catch (error) {
-      console.error('❌ Failed to save form fields:', error);
-      return false;
+// The analysed form of a single input: its extracted info plus title,
+// semantic type and the selectors used to find it again when filling
+function createFieldRecord(element, fieldInfo, meaningfulTitle) {
+  // Get all possible selectors for this element
+  const selectors = {
+    id: element.id || '',
+    name: element.name || '',
+    className: element.className || '',
+    tagName: element.tagName.toLowerCase(),
+    type: element.type || '',
+    ariaLabelledBy: element.getAttribute('aria-labelledby') || '',
+    // Google Forms specific
+    jsname: element.getAttribute('jsname') || '',
+    // Construct a unique CSS selector path
+    cssPath: generateCssPath(element)
+  };
+  
+  return {
+    ...fieldInfo,
+    title: meaningfulTitle,
+    semanticType: classifyField(element, fieldInfo, meaningfulTitle.text),
+    selectors: selectors,
+    // Route back to the element through any shadow hosts / iframes
+    locator: generateLocator(element)
+  };
+}
+
+function compressFieldInfo(key, field) {
+  // Get all attributes needed for selection
+  const elementSelectors = {
+    id: field.id || '',
+    name: field.name || '',
+    className: field.className || '',
+    tagName: field.selectors?.tagName || (field.type === 'textarea' ? 'textarea' : 'input'),
+    type: field.type || '',
+    ariaLabelledBy: field.attributes?.['aria-labelledby'] || '',
+    ariaLabel: field.attributes?.['aria-label'] || '',
+    cssPath: field.selectors?.cssPath || '',
+    jsname: field.attributes?.['jsname'] || '',
+    dataTestid: field.attributes?.['data-testid'] || ''
+  };
+
+  return {
+    fieldKey: key,
+    type: field.type,
+    name: field.name,
+    id: field.id,
+    required: field.required,
+    title: field.title,
+    semanticType: field.semanticType,
+    selectors: elementSelectors,
+    locator: field.locator,
+    widget: field.widget || null,
+    group: field.group || false,
+    placeholder: field.placeholder || '',
+    datePicker: field.datePicker || false,
+    multiple: field.multiple || false,
+    options: field.options,
+    allowsFreeText: field.allowsFreeText || false,
+    constraints: field.constraints || null,
+    contextualInfo: {
+      label: field.contextualInfo.label,
+      ariaLabel: field.contextualInfo.ariaLabel,
+      headings: field.contextualInfo.headings.slice(0, 1),
+      contextClues: field.contextualInfo.contextClues
+        .filter(clue => clue.type === 'explicit_label' || clue.type === 'aria')
+        .slice(0, 2)
     }
-  }
-  return false;
+  };
 }
 
 function findForms() {
   const forms = [];
   
-  // Traditional forms
-  forms.push(...document.querySelectorAll('form'));
-  
-  // Div containers that might be forms
-  const possibleForms = document.querySelectorAll('div, section');
-  for (const container of possibleForms) {
-    const inputs = container.querySelectorAll('input, select, textarea');
-    if (inputs.length >= 2) { // If container has multiple form elements
-      forms.push(container);
+  // Walk the page plus every open shadow root and same-origin iframe
+  for (const root of getSearchRoots()) {
+    // Traditional forms
+    forms.push(...root.querySelectorAll('form'));
+    
+    // Div containers that might be forms
+    const possibleForms = root.querySelectorAll('div, section');
+    for (const container of possibleForms) {
+      const inputs = container.querySelectorAll('input, select, textarea');
+      if (inputs.length >= 2) { // If container has multiple form elements
+        forms.push(container);
+      }
+    }
+
+    // Web components and embedded frames often hold their inputs directly,
+    // without a wrapping form or container, so treat the root itself as one
+    if (root !== document) {
+      const container = root.body || root;
+      if (container.querySelector('input, select, textarea')) {
+        forms.push(container);
+      }
     }
   }
 
   return forms;
 }
 
-async function analyzeFormFields(forms) {
+// Returns the document followed by every open shadow root and same-origin
+// iframe document reachable from it (closed roots and cross-origin frames
+// cannot be reached from here)
+function getSearchRoots(root = document) {
+  const roots = [];
+  const visit = (current) => {
+    roots.push(current);
+    for (const element of current.querySelectorAll('*')) {
+      if (element.shadowRoot) {
+        visit(element.shadowRoot);
+      }
+      if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+        const frameDocument = getSameOriginFrameDocument(element);
+        if (frameDocument) {
+          visit(frameDocument);
+        }
+      }
+    }
+  };
+  visit(root);
+  return roots;
+}
+
+function getSameOriginFrameDocument(frame) {
+  try {
+    // contentDocument is null (or throws in some browsers) for cross-origin frames
+    return frame.contentDocument || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function deepQuerySelectorAll(selector, root = document) {
+  return getSearchRoots(root).flatMap(searchRoot => Array.from(searchRoot.querySelectorAll(selector)));
+}
+
+// fieldElements, when given, is filled with fieldKey → element so callers can
+// keep live references to what was analysed
+async function analyzeFormFields(forms, fieldElements = null) {
   const fields = {};
+  // Nested containers overlap, so the same input can be reached several times
+  const seenElements = new Set();
   
   for (const form of forms) {
     console.group(`Analyzing form: ${getFormIdentifier(form)}`);
     
     // Find all interactive elements
-    const elements = form.querySelectorAll('input, select, textarea, [contenteditable="true"]');
+    const elements = form.querySelectorAll(`input, select, textarea, ${WIDGET_SELECTOR}`);
     
     for (const element of elements) {
       // Skip hidden or submit elements
       if (shouldSkipElement(element)) continue;
+      if (seenElements.has(element)) continue;
+      seenElements.add(element);
+
+      // Skip widget parts that belong to another field (e.g. a combobox popup)
+      const widgetAdapter = getWidgetAdapter(element);
+      if (widgetAdapter?.isPartOfAnotherField?.(element)) continue;
+
+      // Radio groups and checkbox sets are recorded once, at their first input
+      const choiceGroup = getChoiceGroup(element);
+      if (choiceGroup) {
+        if (choiceGroup.inputs[0] === element && !fields[choiceGroup.key]) {
+          const groupField = extractChoiceGroupInfo(choiceGroup);
+          if (groupField) {
+            fields[choiceGroup.key] = groupField;
+            fieldElements?.set(choiceGroup.key, element);
+            console.log('✅ Choice group identified:', {
+              key: choiceGroup.key,
+              type: groupField.type,
+              title: groupField.title.text,
+              options: groupField.options.map(option => option.text)
+            });
+          }
+        }
+        continue;
+      }
+
+      // Day/month/year selects of a date picker are one field, recorded at the first select
+      const datePicker = getDatePickerGroup(element);
+      if (datePicker) {
+        if (datePicker.inputs[0] === element && !fields[datePicker.key]) {
+          const pickerField = extractDatePickerInfo(datePicker);
+          if (pickerField) {
+            fields[datePicker.key] = pickerField;
+            fieldElements?.set(datePicker.key, element);
+            console.log('✅ Date picker identified:', {
+              key: datePicker.key,
+              title: pickerField.title.text,
+              parts: Object.keys(datePicker.parts)
+            });
+          }
+        }
+        continue;
+      }
 
       const fieldInfo = extractFieldInfo(element);
       const meaningfulTitle = findMeaningfulTitle(fieldInfo.contextualInfo, element);
@@ -162,26 +327,8 @@ async function analyzeFormFields(forms) {
       if (meaningfulTitle) {
         // Store field information only if we found a meaningful title
         const fieldKey = fieldInfo.id || fieldInfo.name || `field_${Object.keys(fields).length}`;
-        
-        // Get all possible selectors for this element
-        const selectors = {
-          id: element.id || '',
-          name: element.name || '',
-          className: element.className || '',
-          tagName: element.tagName.toLowerCase(),
-          type: element.type || '',
-          ariaLabelledBy: element.getAttribute('aria-labelledby') || '',
-          // Google Forms specific
-          jsname: element.getAttribute('jsname') || '',
-          // Construct a unique CSS selector path
-          cssPath: generateCssPath(element)
-        };
-        
-        fields[fieldKey] = {
-          ...fieldInfo,
-          title: meaningfulTitle,
-          selectors: selectors
-        };
+        fields[fieldKey] = createFieldRecord(element, fieldInfo, meaningfulTitle);
+        fieldElements?.set(fieldKey, element);
         
         console.log('✅ Field identified:', {
           elementId: fieldInfo.id || 'no-id',
@@ -189,7 +336,8 @@ async function analyzeFormFields(forms) {
           type: fieldInfo.type,
           title: meaningfulTitle,
           source: meaningfulTitle.source,
-          confidence: meaningfulTitle.confidence
+          confidence: meaningfulTitle.confidence,
+          semanticType: fields[fieldKey].semanticType
         });
       } else {
         console.warn('⚠️ Skipping field - No meaningful title found:', {
@@ -331,9 +479,192 @@ function findMeaningfulTitle(contextualInfo, element) {
 
 
 function getFormIdentifier(form) {
+  if (form.host) return `shadow root of <${form.host.tagName.toLowerCase()}>`;
   return form.id || form.name || form.className || 'unnamed form';
 }
 
+// Finds the radio group or checkbox set an input belongs to. Radios are
+// grouped by name; checkboxes by a shared name or, failing that, by a
+// surrounding fieldset / role="group". A lone checkbox stays a single field.
+function getChoiceGroup(element) {
+  if (element.type !== 'radio' && element.type !== 'checkbox') return null;
+
+  const scope = element.form || element.getRootNode();
+  let inputs = [];
+  let key = '';
+  let container = null;
+
+  if (element.name) {
+    inputs = Array.from(scope.querySelectorAll(
+      `input[type="${element.type}"][name="${CSS.escape(element.name)}"]`
+    ));
+    key = element.name;
+  }
+
+  if (element.type === 'checkbox' && inputs.length < 2) {
+    container = element.closest('fieldset, [role="group"]');
+    inputs = container ? Array.from(container.querySelectorAll('input[type="checkbox"]')) : [];
+    key = container ? (container.id || container.getAttribute('name') || `checkbox_group_${generateCssPath(container)}`) : '';
+  }
+
+  inputs = inputs.filter(input => !shouldSkipElement(input));
+
+  if (element.type === 'radio' ? inputs.length === 0 : inputs.length < 2) return null;
+
+  return {
+    key,
+    type: element.type,
+    inputs,
+    container: container || element.closest('fieldset, [role="radiogroup"], [role="group"]')
+  };
+}
+
+function extractChoiceGroupInfo(group) {
+  const firstInput = group.inputs[0];
+  const fieldInfo = extractFieldInfo(firstInput);
+  const title = findChoiceGroupTitle(group, fieldInfo);
+
+  if (!title) {
+    console.warn('⚠️ Skipping choice group - No meaningful title found:', group.key);
+    return null;
+  }
+
+  return {
+    ...fieldInfo,
+    name: firstInput.name || '',
+    id: '',
+    title,
+    semanticType: classifyField(firstInput, { ...fieldInfo, contextualInfo: {} }, title.text),
+    group: true,
+    multiple: group.type === 'checkbox',
+    options: group.inputs.map(input => ({
+      value: input.value,
+      text: getChoiceLabel(input)
+    })),
+    selectors: {
+      id: '',
+      name: firstInput.name || '',
+      className: firstInput.className || '',
+      tagName: 'input',
+      type: group.type,
+      ariaLabelledBy: firstInput.getAttribute('aria-labelledby') || '',
+      jsname: firstInput.getAttribute('jsname') || '',
+      cssPath: generateCssPath(firstInput)
+    },
+    locator: generateLocator(firstInput)
+  };
+}
+
+// The group's question comes from its legend or ARIA group label; the
+// individual inputs' labels are the options, not the title
+function findChoiceGroupTitle(group, fieldInfo) {
+  const container = group.container;
+
+  if (container) {
+    const legend = container.querySelector('legend');
+    if (legend && legend.textContent.trim()) {
+      return { text: legend.textContent.trim(), source: 'legend', confidence: 0.95 };
+    }
+
+    const ariaLabel = container.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) {
+      return { text: ariaLabel.trim(), source: 'aria_label', confidence: 0.9 };
+    }
+
+    const labelledBy = container.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const rootNode = container.getRootNode();
+      const text = labelledBy.split(' ')
+        .map(id => rootNode.getElementById?.(id)?.textContent.trim())
+        .filter(Boolean)
+        .join(' ');
+      if (text) {
+        return { text, source: 'aria_labelledby', confidence: 1.0 };
+      }
+    }
+  }
+
+  const contextualInfo = {
+    ...fieldInfo.contextualInfo,
+    label: '',
+    contextClues: fieldInfo.contextualInfo.contextClues.filter(clue =>
+      clue.type !== 'explicit_label' && clue.type !== 'aria_labelledby'
+    )
+  };
+  return findMeaningfulTitle(contextualInfo, { name: group.inputs[0].name });
+}
+
+// Finds the day/month/year selects a select belongs to: a container of up to
+// three selects that are all date parts, with at least a month and a year
+function getDatePickerGroup(element) {
+  if (element.tagName !== 'SELECT' || element.multiple) return null;
+  if (!getDatePartKind(Array.from(element.options))) return null;
+
+  let container = element.parentElement;
+  for (let depth = 0; container && depth < 3; depth++, container = container.parentElement) {
+    const selects = Array.from(container.querySelectorAll('select')).filter(select => !shouldSkipElement(select));
+    if (selects.length < 2) continue;
+    if (selects.length > 3) return null;
+
+    const parts = {};
+    for (const select of selects) {
+      const kind = getDatePartKind(Array.from(select.options));
+      if (!kind || parts[kind]) return null;
+      parts[kind] = select;
+    }
+    if (!parts.month || !parts.year) return null;
+
+    return {
+      key: container.id || `date_${selects.map(select => select.name || select.id).filter(Boolean).join('_') || generateCssPath(container)}`,
+      inputs: selects,
+      parts,
+      container
+    };
+  }
+  return null;
+}
+
+function extractDatePickerInfo(group) {
+  const firstSelect = group.inputs[0];
+  const fieldInfo = extractFieldInfo(firstSelect);
+  // The picker's question comes from the container, like a choice group's;
+  // the selects' own labels are just "Day", "Month" and "Year"
+  const title = findChoiceGroupTitle(group, fieldInfo);
+
+  if (!title) {
+    console.warn('⚠️ Skipping date picker - No meaningful title found:', group.key);
+    return null;
+  }
+
+  return {
+    ...fieldInfo,
+    type: 'date',
+    id: '',
+    title,
+    semanticType: classifyField(null, { contextualInfo: {} }, title.text),
+    datePicker: true,
+    options: null,
+    selectors: {
+      id: '',
+      name: firstSelect.name || '',
+      className: firstSelect.className || '',
+      tagName: 'select',
+      type: 'select-one',
+      ariaLabelledBy: firstSelect.getAttribute('aria-labelledby') || '',
+      jsname: firstSelect.getAttribute('jsname') || '',
+      cssPath: generateCssPath(firstSelect)
+    },
+    locator: generateLocator(firstSelect)
+  };
+}
+
+function getChoiceLabel(input) {
+  const label = getExplicitLabel(input);
+  return (label && label.textContent.trim()) ||
+         input.getAttribute('aria-label') ||
+         input.value;
+}
+
 function shouldSkipElement(element) {
   const skipTypes = ['hidden', 'submit', 'button', 'reset', 'image'];
   return (
@@ -347,19 +678,30 @@ function shouldSkipElement(element) {
 
 function extractFieldInfo(element) {
   console.group('🔍 Extracting field info');
+  const widgetAdapter = getWidgetAdapter(element);
   const fieldInfo = {
-    type: element.type || element.tagName.toLowerCase(),
-    name: element.name || '',
+    type: widgetAdapter ? widgetAdapter.fieldType : (element.type || element.tagName.toLowerCase()),
+    widget: widgetAdapter ? widgetAdapter.name : null,
+    name: element.name || element.getAttribute('name') || '',
     id: element.id || '',
     className: element.className || '',
-    placeholder: element.placeholder || '',
-    required: element.required || false,
+    placeholder: element.placeholder || element.getAttribute('aria-placeholder') || '',
+    required: element.required || element.getAttribute('aria-required') === 'true',
     pattern: element.pattern || '',
+    constraints: getFieldConstraints(element),
     contextualInfo: findContextualInfo(element),
-    options: element.tagName === 'SELECT' ? Array.from(element.options).map(opt => ({
-      value: opt.value,
-      text: opt.text
-    })) : null,
+    options: widgetAdapter ? widgetAdapter.getOptions(element) :
+      element.tagName === 'SELECT' ? Array.from(element.options).map(opt => ({
+        value: opt.value,
+        text: opt.text
+      })) :
+      element.list ? Array.from(element.list.options).map(opt => ({
+        value: opt.value,
+        text: opt.label || opt.value
+      })) : null,
+    // A datalist only suggests values; the input still takes free text
+    allowsFreeText: Boolean(!widgetAdapter && element.list),
+    multiple: widgetAdapter ? widgetAdapter.isMultiple(element) : Boolean(element.multiple && element.tagName === 'SELECT'),
     attributes: getRelevantAttributes(element)
   };
   
@@ -378,12 +720,15 @@ function findContextualInfo(element) {
     contextClues: []
   };
 
+  // IDs only resolve within the element's own tree (document or shadow root)
+  const rootNode = element.getRootNode();
+
   // 1. Check for aria-labelledby
   const labelledById = element.getAttribute('aria-labelledby');
   if (labelledById) {
     const labelIds = labelledById.split(' ');
     const labelTexts = labelIds
-      .map(id => document.getElementById(id)?.textContent.trim())
+      .map(id => rootNode.getElementById?.(id)?.textContent.trim())
       .filter(text => text);
     if (labelTexts.length > 0) {
       info.label = labelTexts.join(' ');
@@ -453,7 +798,7 @@ function findContextualInfo(element) {
 function getExplicitLabel(element) {
   // First try for="id" label
   if (element.id) {
-    const label = document.querySelector(`label[for="${element.id}"]`);
+    const label = element.getRootNode().querySelector?.(`label[for="${CSS.escape(element.id)}"]`);
     if (label) return label;
   }
 
@@ -515,6 +860,77 @@ function findTooltipText(element) {
   return tooltipText || (helpElement ? helpElement.textContent.trim() : '');
 }
 
+const ERROR_TEXT_SELECTOR = [
+  '[role="alert"]',
+  '[aria-live="assertive"]',
+  '.error',
+  '.error-message',
+  '.field-error',
+  '.form-error',
+  '.invalid-feedback',
+  '[class*="error"]',
+  '[id*="error"]'
+].join(', ');
+
+// Inline error shown for a field, found the way findTooltipText finds help text:
+// the element's own ARIA references first, then error elements next to it
+function findErrorText(element) {
+  const rootNode = element.getRootNode();
+
+  // aria-errormessage always names the error; aria-describedby only when it looks like one
+  const errorMessageId = element.getAttribute('aria-errormessage');
+  const describedByIds = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+  const referenced = [errorMessageId, ...describedByIds]
+    .filter(Boolean)
+    .map(id => rootNode.getElementById?.(id))
+    .filter(candidate => candidate && isElementVisible(candidate) && candidate.textContent.trim())
+    .find(candidate => candidate.id === errorMessageId || candidate.matches(ERROR_TEXT_SELECTOR));
+  if (referenced) return referenced.textContent.trim();
+
+  // Look next to the field, then one level further out; in a row or grid the
+  // outer level also holds the neighbours' errors, so no other control may sit in between
+  for (const container of [element.parentElement, element.parentElement?.parentElement]) {
+    const errorElement = Array.from(container?.querySelectorAll(ERROR_TEXT_SELECTOR) || [])
+      .find(candidate => !candidate.contains(element) && isElementVisible(candidate) && candidate.textContent.trim() &&
+        !hasControlBetween(container, element, candidate));
+    if (errorElement) return errorElement.textContent.trim();
+  }
+
+  return '';
+}
+
+// Whether a form control other than element lies between element and
+// candidate in document order, or inside candidate
+function hasControlBetween(container, element, candidate) {
+  const candidateFirst = Boolean(element.compareDocumentPosition(candidate) & Node.DOCUMENT_POSITION_PRECEDING);
+  const [first, last] = candidateFirst ? [candidate, element] : [element, candidate];
+  return Array.from(container.querySelectorAll(`input:not([type="hidden"]), select, textarea, ${WIDGET_SELECTOR}`))
+    .filter(control => !element.contains(control) && !control.contains(element))
+    .some(control => candidate.contains(control) || (
+      Boolean(first.compareDocumentPosition(control) & Node.DOCUMENT_POSITION_FOLLOWING) &&
+      Boolean(control.compareDocumentPosition(last) & Node.DOCUMENT_POSITION_FOLLOWING)));
+}
+
+// Collects the invalid-value signals a page shows for a filled field:
+// native validity, aria-invalid and visible inline error text
+function getFieldValidationErrors(element) {
+  const errors = [];
+
+  if (element.willValidate && element.validity && !element.validity.valid) {
+    errors.push(element.validationMessage || 'the browser rejected this value');
+  }
+
+  const ariaInvalid = element.getAttribute('aria-invalid');
+  const errorText = findErrorText(element);
+  if (errorText && !errors.includes(errorText)) {
+    errors.push(errorText);
+  } else if (ariaInvalid && ariaInvalid !== 'false' && errors.length === 0) {
+    errors.push('the site marked this value as invalid');
+  }
+
+  return errors;
+}
+
 function getNearbyDescriptiveElements(element) {
   const descriptive = [];
   const parent = element.parentElement;
@@ -547,8 +963,16 @@ function getRelevantAttributes(element) {
   return attributes;
 }
 
-async function fillFormsOnPage(customInstructions = '') {
+// Aborted by the popup's Stop button (via 'cancelFill') while a fill runs
+let fillAbortController = null;
+
+// With review set, every suggestion is computed first and shown in the
+// review panel; only the values the user accepts are written.
+// overwritePolicy decides which already-filled fields may be replaced (see canOverwriteField)
+async function fillFormsOnPage(formFields, customInstructions = '', review = false, overwritePolicy = 'ours') {
   console.group('🤖 Form Filling Process');
+  const controller = fillAbortController = new AbortController();
+  const { signal } = controller;
   
   try {
     // Log custom instructions if provided
@@ -563,143 +987,413 @@ async function fillFormsOnPage(customInstructions = '') {
       console.log(`📋 Available files:`, libraryStats.fileNames.join(', '));
     }
     
-    // Try to get stored field information from sync, then local storage
-    let formFields;
-    let syncData, localData;
-    
-    // First try sync storage
-    try {
-      syncData = await chrome.storage.sync.get('formFields');
-      console.log('📦 Sync storage data:', syncData);
-      if (syncData.formFields) {
-        formFields = syncData.formFields;
-        console.log('✅ Found fields in sync storage');
-      }
-    } catch (syncError) {
-      console.warn('⚠️ Failed to read from sync storage:', syncError);
-    }
-
-    // If no sync data, try local storage
-    if (!formFields) {
-      try {
-        localData = await chrome.storage.local.get('formFields');
-        console.log('📦 Local storage data:', localData);
-        if (localData.formFields) {
-          formFields = localData.formFields;
-          console.log('✅ Found fields in local storage');
-        }
-      } catch (localError) {
-        console.error('❌ Failed to read from local storage:', localError);
-      }
-    }
-
-    if (!formFields) {
+    // background.js sends only the fields that were analysed in this frame
+    if (!formFields || Object.keys(formFields).length === 0) {
       console.warn('⚠️ No form fields data found. Run page analysis first.');
-      return false;
+      return { success: false, unsatisfied: [], invalid: [], conflicts: [], report: [] };
     }
 
+    // A new fill replaces what "Undo fill" would restore, once it writes something
+    beginFillSnapshots();
+    
     let filledCount = 0;
+    // Fields left empty because no candidate value met their constraints
+    const unsatisfied = [];
+    // Filled fields, checked for page validation errors once everything is in
+    const filledFields = [];
+    // Review mode: every suggestion, shown to the user before anything is written
+    const proposals = [];
+    // Pre-filled fields kept because the policy protects them, where the library disagrees
+    const conflicts = [];
+    // What happened to each field, returned to the popup as the fill report
+    const report = {};
+    const fieldEntries = Object.entries(formFields);
     
-    for (const [fieldKey, fieldInfo] of Object.entries(formFields)) {
+    for (const [index, [fieldKey, fieldInfo]] of fieldEntries.entries()) {
+      const reportEntry = report[fieldKey] = createReportEntry(fieldKey, fieldInfo);
+      if (signal.aborted) {
+        reportEntry.status = 'cancelled';
+        continue;
+      }
+      sendFillProgress(index + 1, fieldEntries.length, reportEntry);
+      
       try {
         // Get intelligent suggestion from knowledge base
         const fieldTitle = fieldInfo.title.text;
         const suggestion = await getIntelligentSuggestion(fieldInfo, customInstructions);
+        // A cancelled search has no value to write
+        if (signal.aborted || suggestion.cancelled) {
+          console.log(`⏹️ Fill cancelled before "${fieldTitle}"`);
+          reportEntry.status = 'cancelled';
+          continue;
+        }
+        setReportSuggestion(reportEntry, suggestion);
 
-        await fillField(fieldInfo, suggestion);
-        
-        // Enhanced logging with source information
-        const sourceEmoji = {
-          'knowledge_base': '📚',
-          'gemini_ai': '🤖', 
-          'fallback': '🔧'
-        };
-        const emoji = sourceEmoji[suggestion.source] || '❓';
+        // Never write a value the page would reject
+        const violations = suggestion.violations || checkSuggestion(fieldInfo, suggestion);
         
-        console.log(`✅ Field "${fieldTitle}" filled with: "${suggestion.value}" ${emoji} (${suggestion.source})`);
-        if (suggestion.fileName && suggestion.fileName !== 'Unknown') {
-          console.log(`   └─ Source: ${suggestion.fileName}`);
+        // Leave values the browser, the site or the user put there alone
+        const element = findFieldElement(fieldInfo);
+        const currentValue = element ? readFieldValue(fieldInfo, element) : '';
+        if (element && !canOverwriteField(element, currentValue, overwritePolicy)) {
+          reportEntry.current = currentValue;
+          if (violations.length === 0 && !fieldValueMatches(fieldInfo, currentValue, suggestion.value)) {
+            console.warn(`⚠️ Field "${fieldTitle}" kept its value "${currentValue}" (suggested "${suggestion.value}")`);
+            conflicts.push({ fieldKey, title: fieldTitle, current: String(currentValue), suggested: String(suggestion.value) });
+            reportEntry.status = 'conflict';
+          } else {
+            console.log(`⏭️ Field "${fieldTitle}" already filled, keeping "${currentValue}"`);
+            reportEntry.status = 'kept';
+          }
+          continue;
         }
         
+        if (review) {
+          proposals.push({ fieldKey, fieldInfo, suggestion, violations });
+          reportEntry.status = 'proposed';
+          continue;
+        }
+        if (violations.length > 0) {
+          console.warn(`⛔ Field "${fieldTitle}" left empty: ${violations.join('; ')}`);
+          unsatisfied.push({ fieldKey, title: fieldTitle, violations });
+          reportEntry.status = 'unsatisfied';
+          reportEntry.error = violations.join('; ');
+          continue;
+        }
+
+        filledFields.push(await writeSuggestion(fieldKey, fieldInfo, suggestion));
+        reportEntry.status = 'filled';
         filledCount++;
       } catch (error) {
         console.error(`❌ Error filling field ${fieldKey}:`, error);
+        reportEntry.status = 'error';
+        reportEntry.error = error.message;
+      } finally {
+        sendFillProgress(index + 1, fieldEntries.length, reportEntry);
+      }
+    }
+
+    if (review && !signal.aborted) {
+      hideWorkingIndicator();
+      const accepted = await reviewSuggestions(proposals, signal) || [];
+      const acceptedKeys = new Set(accepted.map(entry => entry.fieldKey));
+      
+      proposals.filter(proposal => !acceptedKeys.has(proposal.fieldKey)).forEach(({ fieldKey, fieldInfo, violations }) => {
+        if (violations.length > 0) {
+          unsatisfied.push({ fieldKey, title: fieldInfo.title.text, violations });
+          report[fieldKey].status = 'unsatisfied';
+          report[fieldKey].error = violations.join('; ');
+        } else {
+          report[fieldKey].status = signal.aborted ? 'cancelled' : 'rejected';
+        }
+      });
+      
+      for (const [index, { fieldKey, fieldInfo, suggestion }] of accepted.entries()) {
+        const reportEntry = report[fieldKey];
+        setReportSuggestion(reportEntry, suggestion);
+        if (signal.aborted) {
+          reportEntry.status = 'cancelled';
+          continue;
+        }
+        sendFillProgress(index + 1, accepted.length, { ...reportEntry, status: 'pending' });
+        try {
+          filledFields.push(await writeSuggestion(fieldKey, fieldInfo, suggestion));
+          reportEntry.status = 'filled';
+          reportEntry.error = null;
+          filledCount++;
+        } catch (error) {
+          console.error(`❌ Error filling field ${fieldKey}:`, error);
+          reportEntry.status = 'error';
+          reportEntry.error = error.message;
+        }
+        sendFillProgress(index + 1, accepted.length, reportEntry);
       }
     }
 
+    // Proposals never shown because the fill was cancelled first
+    Object.values(report)
+      .filter(entry => entry.status === 'proposed')
+      .forEach(entry => { entry.status = 'cancelled'; });
+
     console.log(`✅ Filled ${filledCount} fields`);
-    return filledCount > 0;
+    if (unsatisfied.length > 0) {
+      console.warn(`⛔ ${unsatisfied.length} field(s) could not be satisfied:`, unsatisfied);
+    }
+
+    const invalid = await correctInvalidFields(filledFields, customInstructions, signal);
+    if (conflicts.length > 0) {
+      console.warn(`⚠️ ${conflicts.length} pre-filled field(s) differ from the library:`, conflicts);
+    }
+    
+    // The correction pass may have replaced values
+    filledFields.forEach(entry => { report[entry.fieldKey].value = entry.value; });
+    invalid.forEach(field => {
+      report[field.fieldKey].status = 'invalid';
+      report[field.fieldKey].error = field.errors.join('; ');
+    });
+    
+    if (signal.aborted) {
+      console.log(`⏹️ Fill cancelled after ${filledCount} field(s)`);
+    }
+    
+    return {
+      success: filledCount > 0,
+      reviewed: review,
+      cancelled: signal.aborted,
+      filledCount,
+      unsatisfied,
+      invalid,
+      conflicts,
+      report: Object.values(report)
+    };
 
   } catch (error) {
     console.error('❌ Form filling failed:', error);
-    return false;
+    return { success: false, unsatisfied: [], invalid: [], conflicts: [], report: [] };
+  } finally {
+    if (fillAbortController === controller) {
+      fillAbortController = null;
+    }
+    console.groupEnd();
+  }
+}
+
+// A fill report line. status is one of FILL_STATUS_ICONS' keys; error holds
+// why a field wasn't filled, current the value a kept field already had
+function createReportEntry(fieldKey, fieldInfo) {
+  return {
+    fieldKey,
+    title: fieldInfo.title?.text || fieldKey,
+    status: 'pending',
+    value: null,
+    source: null,
+    confidence: null,
+    fileName: null,
+    error: null
+  };
+}
+
+function setReportSuggestion(entry, suggestion) {
+  entry.value = suggestion.value ?? null;
+  entry.source = suggestion.source || null;
+  entry.confidence = suggestion.confidence ?? null;
+  entry.fileName = suggestion.fileName && suggestion.fileName !== 'Unknown' ? suggestion.fileName : null;
+}
+
+// Progress goes through background.js, which forwards it to the top frame's panel
+function sendFillProgress(current, total, entry) {
+  chrome.runtime.sendMessage({
+    action: 'fillProgress',
+    progress: { current, total, field: { fieldKey: entry.fieldKey, title: entry.title, status: entry.status, value: entry.value } }
+  }).catch(() => {});
+}
+
+// Fills one field and returns the entry the validation pass checks afterwards
+async function writeSuggestion(fieldKey, fieldInfo, suggestion) {
+  const element = await fillField(fieldInfo, suggestion);
+  ourFilledValues.set(element, readFieldValue(fieldInfo, element));
+  
+  // Enhanced logging with source information
+  const sourceEmoji = {
+    'profile': '👤',
+    'knowledge_base': '📚',
+    'gemini_ai': '🤖', 
+    'fallback': '🔧',
+    'user': '✏️'
+  };
+  const emoji = sourceEmoji[suggestion.source] || '❓';
+  
+  console.log(`✅ Field "${fieldInfo.title.text}" filled with: "${suggestion.value}" ${emoji} (${suggestion.source})`);
+  if (suggestion.fileName && suggestion.fileName !== 'Unknown') {
+    console.log(`   └─ Source: ${suggestion.fileName}`);
+  }
+  
+  return { fieldKey, fieldInfo, element, value: suggestion.value };
+}
+
+// What each field held right after we filled it, so the 'ours' overwrite
+// policy can tell our earlier fills from values typed since
+const ourFilledValues = new WeakMap();
+
+// Overwrite policies, chosen per site in the popup:
+//   'empty' - only fill empty fields
+//   'ours'  - also replace values we filled earlier and nobody changed since
+//   'all'   - replace whatever is there
+function canOverwriteField(element, currentValue, overwritePolicy) {
+  if (currentValue === '' || currentValue === false) return true;
+  if (overwritePolicy === 'all') return true;
+  if (overwritePolicy === 'ours') {
+    return ourFilledValues.has(element) && ourFilledValues.get(element) === currentValue;
+  }
+  return false;
+}
+
+// The field's current value in the form suggestions take: text, selected
+// option labels joined with ", ", or a boolean for a single checkbox or
+// switch. '' (or false) when the field is blank
+function readFieldValue(fieldInfo, element) {
+  const choiceGroup = fieldInfo.group ? getChoiceGroup(element) : null;
+  if (choiceGroup) {
+    return choiceGroup.inputs.filter(input => input.checked).map(getChoiceLabel).join(', ');
+  }
+  
+  const datePicker = fieldInfo.datePicker ? getDatePickerGroup(element) : null;
+  if (datePicker) {
+    return readDatePickerValue(datePicker);
+  }
+  
+  const adapter = getWidgetAdapter(element);
+  if (adapter) {
+    return adapter.read(element);
+  }
+  
+  if (element.tagName === 'SELECT') {
+    // An untouched select shows its first option; that isn't a value someone chose
+    const untouched = element.selectedIndex === 0 && !element.options[0].defaultSelected;
+    if (element.selectedIndex === -1 || untouched) return '';
+    return Array.from(element.selectedOptions)
+      .filter(option => String(option.value).trim() !== '')
+      .map(option => option.text.trim())
+      .join(', ');
+  }
+  
+  if (element.type === 'checkbox') return element.checked;
+  if (element.type === 'file') return Array.from(element.files || []).map(file => file.name).join(', ');
+  return String(element.value ?? '').trim();
+}
+
+// The picker's date as YYYY-MM-DD (or YYYY-MM), or '' unless every part is chosen
+function readDatePickerValue(group) {
+  const parts = {};
+  for (const [kind, select] of Object.entries(group.parts)) {
+    const option = select.options[select.selectedIndex];
+    if (!option || String(option.value).trim() === '') return '';
+    const text = option.text.trim();
+    parts[kind] = kind === 'month' ? parseMonthName(text) || Number(option.value) || Number(text) : Number(text) || Number(option.value);
+  }
+  return formatDateParts(parts, 'YYYY-MM-DD') || formatDateParts(parts, 'YYYY-MM') || '';
+}
+
+// Whether a pre-filled value already says what the suggestion says, allowing
+// for formatting ("GR" / "Greece", "03/15/1990" / "1990-03-15")
+function fieldValueMatches(fieldInfo, currentValue, suggestedValue) {
+  if (typeof currentValue === 'boolean') return currentValue === isAffirmativeValue(suggestedValue);
+  
+  if (isDateField(fieldInfo)) {
+    const current = formatDateSuggestion(currentValue, fieldInfo);
+    if (current !== null) return current === formatDateSuggestion(suggestedValue, fieldInfo);
+  }
+  
+  const match = findOptionMatch([{ value: currentValue, text: currentValue }], suggestedValue);
+  return match.index !== -1 && match.confidence >= FREE_TEXT_OPTION_CONFIDENCE;
+}
+
+const VALIDATION_SETTLE_DELAY = 300; // ms for sites to render their inline errors
+const MAX_CORRECTION_ATTEMPTS = 2;
+
+// Post-fill pass: reads the errors the page shows for each filled field and
+// feeds them back through Gemini for a corrected value, a bounded number of
+// times. Returns the fields that are still invalid afterwards; a cancelled
+// fill (signal aborted) skips the corrections still to come
+async function correctInvalidFields(filledFields, customInstructions = '', signal = null) {
+  if (filledFields.length === 0) return [];
+  console.group('🩺 Checking filled fields for validation errors');
+  
+  try {
+    await sleep(VALIDATION_SETTLE_DELAY);
+    const invalid = [];
+    
+    for (const entry of filledFields) {
+      const { fieldKey, fieldInfo } = entry;
+      const fieldTitle = fieldInfo.title?.text || fieldKey;
+      let errors = getFieldValidationErrors(entry.element);
+      // Every value the page refused so far, so Gemini doesn't repeat one
+      const rejected = [];
+      // Gemini can't produce a different document, so file fields aren't retried
+      const attempts = fieldInfo.type === 'file' ? 0 : MAX_CORRECTION_ATTEMPTS;
+      
+      for (let attempt = 1; errors.length > 0 && attempt <= attempts && !signal?.aborted; attempt++) {
+        console.log(`🔁 "${fieldTitle}" is invalid (attempt ${attempt}/${MAX_CORRECTION_ATTEMPTS}): ${errors.join('; ')}`);
+        rejected.push({ value: String(entry.value ?? ''), violations: errors });
+        
+        try {
+          const suggestion = await retryWithConstraints(fieldInfo, createSearchQuery(fieldInfo), customInstructions, rejected);
+          if (suggestion.violations || signal?.aborted) break;
+          
+          entry.element = await fillField(fieldInfo, suggestion);
+          entry.value = suggestion.value;
+          await sleep(VALIDATION_SETTLE_DELAY);
+          errors = getFieldValidationErrors(entry.element);
+        } catch (error) {
+          console.error(`❌ Error correcting field ${fieldKey}:`, error);
+          break;
+        }
+      }
+      
+      if (errors.length > 0) {
+        console.warn(`⛔ "${fieldTitle}" is still invalid: ${errors.join('; ')}`);
+        invalid.push({ fieldKey, title: fieldTitle, value: entry.value, errors });
+      } else if (rejected.length > 0) {
+        console.log(`✅ "${fieldTitle}" corrected to: "${entry.value}"`);
+      }
+    }
+    
+    return invalid;
   } finally {
     console.groupEnd();
   }
 }
 
-async function getIntelligentSuggestion(fieldInfo, customInstructions = '') {
+// alternatives, when given, collects the other valid knowledge base
+// candidates after the one returned (used by single-field suggestions)
+async function getIntelligentSuggestion(fieldInfo, customInstructions = '', alternatives = null) {
   console.group(`🧠 Getting intelligent suggestion for: ${fieldInfo.title?.text}`);
   
   try {
+    // File inputs take a document from the library, not a text value
+    if (fieldInfo.type === 'file') {
+      return await getLibraryFileSuggestion(fieldInfo);
+    }
+    
     // Create a search query from field context
     const searchQuery = createSearchQuery(fieldInfo);
     console.log('🔍 Search query:', searchQuery);
     
     // Search knowledge base via background script
-    const response = await new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
-        action: 'searchKnowledge',
-        query: searchQuery,
-        fieldType: fieldInfo.type,
-        fieldTitle: fieldInfo.title?.text,
-        customInstructions: customInstructions
-      }, (response) => {
-        if (chrome.runtime.lastError) {
-          console.error('❌ Runtime error:', chrome.runtime.lastError);
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-        console.log('📨 Background response:', response);
-        resolve(response);
-      });
-    });
+    const response = await requestSuggestions(fieldInfo, searchQuery, customInstructions);
+    
+    // Stopped from the popup: nothing to write, not even a fallback
+    if (response?.cancelled) {
+      console.log('⏹️ Search cancelled');
+      return createCancelledSuggestion();
+    }
     
     if (response && response.success && response.suggestions.length > 0) {
       console.log(`✅ Found ${response.suggestions.length} knowledge base matches`);
       
-      // Use the best matching suggestion
-      const bestMatch = response.suggestions[0];
-      console.log('📝 Best match:', bestMatch);
-      
-      // Enhanced logging for knowledge base sources
-      if (bestMatch.source === 'knowledge_base') {
-        console.log(`   └─ Source file: ${bestMatch.fileName}`);
-        console.log(`   └─ Similarity: ${(bestMatch.similarity * 100).toFixed(1)}%`);
-        console.log(`   └─ Content preview: "${bestMatch.content.substring(0, 80)}..."`);
+      // Try the matches best first and keep the first one the field accepts
+      const rejected = [];
+      const accepted = [];
+      for (const match of response.suggestions) {
+        const suggestion = createSuggestionFromMatch(match);
+        const violations = checkSuggestion(fieldInfo, suggestion);
+        
+        if (violations.length === 0) {
+          accepted.push(suggestion);
+          if (!alternatives) break;
+          continue;
+        }
+        
+        console.warn(`⚠️ Rejected "${suggestion.value}": ${violations.join('; ')}`);
+        rejected.push({ value: String(suggestion.value ?? ''), violations });
       }
       
-      // Determine the source and confidence based on the suggestion origin
-      let sourceInfo = {
-        source: bestMatch.source || 'knowledge_base',
-        fileName: bestMatch.fileName || 'Unknown',
-        confidence: bestMatch.similarity || 0.5
-      };
-      
-      // Handle Gemini AI generated suggestions
-      if (bestMatch.source === 'gemini_ai') {
-        sourceInfo = {
-          source: 'gemini_ai',
-          fileName: '🤖 AI Generated',
-          confidence: 0.85  // High confidence for AI suggestions
-        };
-        console.log('🤖 Using Gemini AI generated suggestion');
+      if (accepted.length > 0) {
+        alternatives?.push(...accepted.slice(1));
+        return accepted[0];
       }
       
-      return {
-        value: bestMatch.extractedValue || bestMatch.content.substring(0, 100),
-        ...sourceInfo
-      };
+      return await retryWithConstraints(fieldInfo, searchQuery, customInstructions, rejected);
     } else {
       console.log('🤖 No suggestions from background, generating fallback');
       return generateFallbackSuggestion(fieldInfo);
@@ -714,6 +1408,233 @@ async function getIntelligentSuggestion(fieldInfo, customInstructions = '') {
   }
 }
 
+// rejected lists earlier candidates and why they failed; background.js then
+// skips the knowledge base and asks Gemini with the constraints spelled out
+function requestSuggestions(fieldInfo, searchQuery, customInstructions, rejected = null) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({
+      action: 'searchKnowledge',
+      query: searchQuery,
+      field: {
+        type: fieldInfo.type,
+        title: fieldInfo.title?.text,
+        semanticType: getConfidentSemanticType(fieldInfo),
+        // Choice fields must be answered with one (or several) of their options
+        choices: getFieldChoices(fieldInfo),
+        constraints: fieldInfo.constraints || null,
+        rejected
+      },
+      customInstructions: customInstructions
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('❌ Runtime error:', chrome.runtime.lastError);
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      console.log('📨 Background response:', response);
+      resolve(response);
+    });
+  });
+}
+
+function createSuggestionFromMatch(match) {
+  console.log('📝 Candidate match:', match);
+  
+  // Enhanced logging for knowledge base sources
+  if (match.source === 'knowledge_base' || match.source === 'profile') {
+    console.log(`   └─ Source file: ${match.fileName}${match.page ? ` (page ${match.page})` : ''}`);
+    console.log(`   └─ Similarity: ${(match.similarity * 100).toFixed(1)}%`);
+    console.log(`   └─ Content preview: "${match.content.substring(0, 80)}..."`);
+  }
+  
+  // Determine the source and confidence based on the suggestion origin.
+  // Chunks cite their page and section ("CV.pdf p.2 · Experience › Acme"),
+  // facts and profile details their key ("profile.json › contact.phone")
+  let sourceInfo = {
+    source: match.source || 'knowledge_base',
+    fileName: formatMatchSource(match),
+    confidence: match.similarity || 0.5
+  };
+  
+  // Handle Gemini AI generated suggestions
+  if (match.source === 'gemini_ai') {
+    sourceInfo = {
+      source: 'gemini_ai',
+      fileName: '🤖 AI Generated',
+      confidence: 0.85  // High confidence for AI suggestions
+    };
+    console.log('🤖 Using Gemini AI generated suggestion');
+  }
+  
+  return {
+    value: match.extractedValue || match.content.substring(0, 100),
+    ...sourceInfo
+  };
+}
+
+function formatMatchSource(match) {
+  if (!match.fileName) return 'Unknown';
+  const source = match.page ? `${match.fileName} p.${match.page}` : match.fileName;
+  if (match.factKey) return `${source} › ${match.factKey}`;
+  return match.section?.length > 0 ? `${source} · ${match.section.join(' › ')}` : source;
+}
+
+// One more attempt through Gemini once every candidate broke a constraint or
+// the page flagged the value. Returns the violations instead of a value when
+// that fails too
+async function retryWithConstraints(fieldInfo, searchQuery, customInstructions, rejected) {
+  console.log(`🔁 ${rejected.length} value(s) rejected, retrying with explicit constraints`);
+  const lastViolations = rejected[rejected.length - 1].violations;
+  
+  try {
+    const response = await requestSuggestions(fieldInfo, searchQuery, customInstructions, rejected);
+    if (response?.cancelled) return createCancelledSuggestion();
+    const match = response?.success && response.suggestions[0];
+    
+    if (match) {
+      const suggestion = createSuggestionFromMatch(match);
+      const violations = checkSuggestion(fieldInfo, suggestion);
+      if (violations.length === 0) {
+        return suggestion;
+      }
+      console.warn(`⚠️ Retry value "${suggestion.value}" still invalid: ${violations.join('; ')}`);
+      return { value: null, source: 'unsatisfied', confidence: 0, violations };
+    }
+  } catch (error) {
+    console.error('❌ Constraint retry failed:', error);
+  }
+  
+  return { value: null, source: 'unsatisfied', confidence: 0, violations: lastViolations };
+}
+
+function createCancelledSuggestion() {
+  return { value: null, source: 'cancelled', confidence: 0, cancelled: true, violations: ['cancelled'] };
+}
+
+// Asks background.js for the stored library document that best fits a file
+// input. The suggestion's value is the file name, so the usual constraint
+// check applies the accept filter; file carries the bytes to attach
+async function getLibraryFileSuggestion(fieldInfo) {
+  const accept = fieldInfo.constraints?.accept;
+  const { uploadedFiles = [] } = await chrome.storage.local.get('uploadedFiles');
+  const fileNames = uploadedFiles
+    .map(file => file.name)
+    .filter(name => !accept || matchesAcceptFilter(name, accept));
+  
+  const response = await new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({
+      action: 'getLibraryFile',
+      field: {
+        title: fieldInfo.title?.text,
+        fileNames
+      }
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+  
+  if (!response?.success) {
+    console.log('📭 No library file for this upload field');
+    return { value: null, source: 'unsatisfied', confidence: 0, violations: [response?.error || 'no matching document in the library'] };
+  }
+  
+  console.log(`📎 Library file: ${response.file.name}`);
+  return {
+    value: response.file.name,
+    source: 'knowledge_base',
+    fileName: response.file.name,
+    confidence: response.confidence,
+    file: response.file
+  };
+}
+
+// The options a choice field (select, datalist, choice group or widget) can
+// take, without "Select..." style placeholders; null for other fields
+function getChoiceOptions(fieldInfo) {
+  const isChoiceField = fieldInfo.group || fieldInfo.type?.startsWith('select') ||
+    fieldInfo.allowsFreeText || (fieldInfo.widget && fieldInfo.type !== 'textarea');
+  if (!isChoiceField || !fieldInfo.options?.length) return null;
+
+  const options = fieldInfo.options.filter(option =>
+    String(option.value ?? '').trim() !== '' || (!fieldInfo.type?.startsWith('select') && option.text?.trim()));
+  return options.length > 0 ? options : null;
+}
+
+// restricted is false for datalists, whose options are only suggestions
+function getFieldChoices(fieldInfo) {
+  const options = getChoiceOptions(fieldInfo);
+  if (!options) return null;
+
+  return {
+    options: options.map(option => option.text || option.value),
+    multiple: fieldInfo.multiple || false,
+    restricted: !fieldInfo.allowsFreeText
+  };
+}
+
+// Below this an option match on a datalist field is a guess and the free text is kept
+const FREE_TEXT_OPTION_CONFIDENCE = 0.85;
+
+// Validates a suggestion against the field's constraints. For choice fields
+// the value is first snapped to the matching option(s), and the match
+// confidence folded into the suggestion's. Returns the violations
+function checkSuggestion(fieldInfo, suggestion) {
+  // Dates are rewritten into the field's own format first
+  if (isDateField(fieldInfo) && typeof suggestion.value !== 'boolean' && String(suggestion.value ?? '').trim()) {
+    const formatted = formatDateSuggestion(suggestion.value, fieldInfo);
+    if (formatted === null) {
+      console.log(`🚫 "${suggestion.value}" is not a usable date`);
+      return ['must be a date'];
+    }
+    suggestion.value = formatted;
+  }
+
+  const options = getChoiceOptions(fieldInfo);
+  if (!options || typeof suggestion.value === 'boolean' || !String(suggestion.value ?? '').trim()) {
+    return validateFieldValue(suggestion.value, fieldInfo);
+  }
+
+  const wanted = Array.isArray(suggestion.value)
+    ? suggestion.value
+    : fieldInfo.multiple ? String(suggestion.value).split(/\s*[,;\n]\s*/).filter(Boolean) : [String(suggestion.value)];
+  const matches = wanted.map(item => findOptionMatch(options, item)).filter(match => match.index !== -1);
+
+  // Datalist fields keep the free text unless an option matches confidently
+  const isGuess = matches.length === 0 || matches.some(match => match.confidence < FREE_TEXT_OPTION_CONFIDENCE);
+  if (fieldInfo.allowsFreeText && isGuess) {
+    return validateFieldValue(suggestion.value, fieldInfo);
+  }
+
+  if (matches.length === 0) {
+    console.log(`🚫 No option matches "${suggestion.value}"`);
+    const listed = options.slice(0, 10).map(option => option.text || option.value).join(', ');
+    return [`must be one of the listed options (${listed}${options.length > 10 ? ', …' : ''})`];
+  }
+
+  const matchedOptions = [...new Set(matches.map(match => options[match.index]))];
+  const confidence = Math.min(...matches.map(match => match.confidence));
+  console.log(`🎯 "${suggestion.value}" matched ${matchedOptions.map(option => `"${option.text || option.value}"`).join(', ')} (${matches.map(match => match.method).join(', ')}, ${(confidence * 100).toFixed(0)}%)`);
+
+  suggestion.value = matchedOptions.map(option => option.text || option.value).join(', ');
+  suggestion.optionMatch = { method: matches[0].method, confidence };
+  suggestion.confidence = (suggestion.confidence ?? 1) * confidence;
+  return validateFieldValue(suggestion.value, fieldInfo);
+}
+
+// Minimum classifier confidence before the canonical type is relied upon
+const SEMANTIC_TYPE_THRESHOLD = 0.6;
+
+function getConfidentSemanticType(fieldInfo) {
+  const semanticType = fieldInfo.semanticType;
+  return semanticType?.token && semanticType.confidence >= SEMANTIC_TYPE_THRESHOLD ? semanticType.token : null;
+}
+
+const MAX_QUERY_OPTIONS = 6;
+
 function createSearchQuery(fieldInfo) {
   const title = fieldInfo.title?.text || '';
   const type = fieldInfo.type || '';
@@ -726,6 +1647,19 @@ function createSearchQuery(fieldInfo) {
     queryParts.push(placeholder);
   }
   
+  // A short option list tells the search what kind of answer to look for;
+  // long ones (countries, years) would only drown out the title
+  const choiceOptions = getChoiceOptions(fieldInfo);
+  if (choiceOptions && choiceOptions.length <= MAX_QUERY_OPTIONS) {
+    queryParts.push(...choiceOptions.map(option => option.text || option.value));
+  }
+  
+  // A confident canonical type describes the field better than its input
+  // type; the background adds the type's keywords to the search
+  if (getConfidentSemanticType(fieldInfo)) {
+    return queryParts.join(' ').trim();
+  }
+  
   // Add type-specific context
   switch (type.toLowerCase()) {
     case 'email':
@@ -762,7 +1696,10 @@ function generateFallbackSuggestion(fieldInfo) {
   let value;
 
   // Generate fallback values based on field type
-  switch(fieldInfo.type.toLowerCase()) {
+  const choiceOptions = getChoiceOptions(fieldInfo);
+  if (choiceOptions && !fieldInfo.allowsFreeText) {
+    value = choiceOptions[0].text || choiceOptions[0].value;
+  } else switch(fieldInfo.type.toLowerCase()) {
     case 'checkbox':
       value = true;
       break;
@@ -779,8 +1716,15 @@ function generateFallbackSuggestion(fieldInfo) {
       value = `https://example.com`;
       break;
     case 'date':
-      value = '2025-07-26';
+    case 'time':
+    case 'month':
+    case 'week':
+    case 'datetime-local':
+      value = getTodayForField(fieldInfo);
       break;
+    case 'file':
+      // There is no made-up document to attach
+      return { value: null, source: 'unsatisfied', confidence: 0, violations: ['no matching document in the library'] };
     default:
       value = `Sample ${fieldTitle.toLowerCase()}`;
   }
@@ -836,8 +1780,20 @@ async function getKnowledgeBaseStats() {
   console.log('Suggestion:', suggestion);
 
   try {
-    await simulateHumanInput(element, suggestion.value);
+    const choiceGroup = fieldInfo.group ? getChoiceGroup(element) : null;
+    const datePicker = fieldInfo.datePicker ? getDatePickerGroup(element) : null;
+    snapshotElements(choiceGroup?.inputs || (datePicker ? Object.values(datePicker.parts) : [element]));
+    if (choiceGroup) {
+      fillChoiceGroup(choiceGroup, suggestion.value);
+    } else if (datePicker) {
+      fillDatePicker(datePicker, suggestion.value);
+    } else if (element.type === 'file') {
+      attachLibraryFile(element, suggestion.file);
+    } else {
+      await simulateHumanInput(element, suggestion.value);
+    }
     console.log('✅ Field filled successfully');
+    return element;
   } catch (error) {
     console.error('❌ Field fill failed:', error);
     throw error;
@@ -846,22 +1802,195 @@ async function getKnowledgeBaseStats() {
   }
 }
 
-function simulateHumanInput(element, value) {
+// File inputs can't be given a path; a DataTransfer holding a File built from
+// the stored bytes is the one way to set element.files from a script
+function attachLibraryFile(element, file) {
+  if (!file?.data) {
+    throw new Error('No file data to attach');
+  }
+  
+  const binary = atob(file.data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  
+  const transfer = new DataTransfer();
+  transfer.items.add(new File([bytes], file.name, { type: file.type, lastModified: file.lastModified }));
+  element.files = transfer.files;
+  
+  triggerEvent(element, 'input');
+  triggerEvent(element, 'change');
+  
+  if (element.files.length === 0) {
+    throw new Error(`The page did not accept "${file.name}"`);
+  }
+  console.log(`📎 Attached ${file.name} (${bytes.length} bytes)`);
+}
+
+// Prior state of every element the last fill changed, in fill order.
+// Correction retries refill the same elements, so only the first (original)
+// state of each is kept
+let lastFillSnapshots = [];
+// Set when a fill starts. The previous fill's snapshots are only dropped when
+// the new one writes its first value, so a cancelled or empty review, or a
+// fill that writes nothing, leaves Undo fill working
+let snapshotsPendingReset = false;
+
+function beginFillSnapshots() {
+  snapshotsPendingReset = true;
+}
+
+function snapshotElements(elements) {
+  if (snapshotsPendingReset && elements.length > 0) {
+    lastFillSnapshots = [];
+    snapshotsPendingReset = false;
+  }
+  elements.forEach(element => {
+    if (!lastFillSnapshots.some(snapshot => snapshot.element === element)) {
+      lastFillSnapshots.push(captureElementState(element));
+    }
+  });
+}
+
+function captureElementState(element) {
+  const adapter = getWidgetAdapter(element);
+  if (adapter?.name === 'contenteditable') {
+    return { element, html: element.innerHTML };
+  }
+  if (adapter) {
+    // ARIA widgets are restored by filling their previous value back in
+    return { element, adapter, widgetValue: adapter.read(element) };
+  }
+  if (element.tagName === 'SELECT') {
+    return { element, selected: Array.from(element.options).map(option => option.selected) };
+  }
+  if (element.type === 'checkbox' || element.type === 'radio') {
+    return { element, checked: element.checked };
+  }
+  if (element.type === 'file') {
+    return { element, files: Array.from(element.files || []) };
+  }
+  return { element, value: element.value };
+}
+
+// Puts back what each field held before the last fill, newest change first,
+// with the same events a fill fires so the site's own state follows.
+// Resolves with the number of elements restored
+async function undoLastFill() {
+  if (lastFillSnapshots.length === 0) {
+    console.log('ℹ️ Nothing to undo in this frame');
+    return 0;
+  }
+  
+  console.group(`↩️ Undoing the last fill (${lastFillSnapshots.length} element(s))`);
+  let restored = 0;
+  
+  try {
+    for (const snapshot of [...lastFillSnapshots].reverse()) {
+      if (!snapshot.element.isConnected) {
+        console.warn('⚠️ Element is no longer on the page, skipping:', snapshot.element);
+        continue;
+      }
+      try {
+        await restoreElementState(snapshot);
+        restored++;
+      } catch (error) {
+        console.error('❌ Could not restore element:', snapshot.element, error);
+      }
+    }
+    
+    lastFillSnapshots = [];
+    console.log(`✅ Restored ${restored} element(s)`);
+    return restored;
+  } finally {
+    console.groupEnd();
+  }
+}
+
+async function restoreElementState(snapshot) {
+  const { element } = snapshot;
+  
+  if (snapshot.html !== undefined) {
+    element.innerHTML = snapshot.html;
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType: 'insertReplacementText' }));
+    triggerEvent(element, 'blur');
+    return;
+  }
+  
+  if (snapshot.adapter) {
+    const currentValue = snapshot.adapter.read(element);
+    if (currentValue === snapshot.widgetValue) return;
+    // Custom widgets can be set to an option but not necessarily emptied again
+    if (snapshot.widgetValue === '' || snapshot.widgetValue === null) {
+      console.warn(`⚠️ Cannot clear ${snapshot.adapter.name} widget, leaving "${currentValue}"`);
+      return;
+    }
+    await snapshot.adapter.fill(element, snapshot.widgetValue);
+    return;
+  }
+  
+  element.focus();
+  
+  if (snapshot.selected && !element.multiple) {
+    // Through the native setter, so framework-controlled selects notice
+    const index = snapshot.selected.indexOf(true);
+    if (index === -1) {
+      element.selectedIndex = -1;
+    } else {
+      setNativeValue(element, element.options[index].value);
+    }
+  } else if (snapshot.selected) {
+    Array.from(element.options).forEach((option, index) => {
+      option.selected = snapshot.selected[index] ?? false;
+    });
+  } else if (snapshot.checked !== undefined) {
+    if (element.checked !== snapshot.checked) element.click();
+    if (element.checked !== snapshot.checked) setNativeChecked(element, snapshot.checked);
+  } else if (snapshot.files) {
+    const transfer = new DataTransfer();
+    snapshot.files.forEach(file => transfer.items.add(file));
+    element.files = transfer.files;
+  } else {
+    setNativeValue(element, snapshot.value);
+  }
+  
+  triggerEvent(element, 'input');
+  triggerEvent(element, 'change');
+  triggerEvent(element, 'blur');
+}
+
+async function simulateHumanInput(element, value) {
+  // Custom widgets are driven through their adapter
+  const widgetAdapter = getWidgetAdapter(element);
+  if (widgetAdapter) {
+    await fillWidget(widgetAdapter, element, value);
+    return;
+  }
+
+  // Text inputs go through the input driver so framework-controlled
+  // (React, Angular, Vue) and masked inputs keep the value
+  if (element.tagName.toLowerCase() !== 'select' && element.type !== 'checkbox') {
+    const strategy = await driveInputValue(element, value);
+    console.log(`⌨️ Value set by ${strategy === 'paste' ? 'native setter' : 'typing'}`);
+    return;
+  }
+
   // Focus the element
   element.focus();
 
   if (element.tagName.toLowerCase() === 'select') {
-    // Handle dropdowns
-    element.value = value;
-    triggerEvent(element, 'change');
-  } else if (element.type === 'checkbox') {
-    // Handle checkboxes
-    element.checked = value === true;
-    triggerEvent(element, 'change');
-  } else {
-    // Handle text inputs
-    element.value = value;
+    // Handle dropdowns: free text never sets select.value, so pick the matching option(s)
+    selectNativeOptions(element, value);
     triggerEvent(element, 'input');
+  } else {
+    // Handle checkboxes: a real click keeps framework state in sync
+    const shouldCheck = isAffirmativeValue(value);
+    if (element.checked !== shouldCheck) element.click();
+    if (element.checked !== shouldCheck) {
+      setNativeChecked(element, shouldCheck);
+      triggerEvent(element, 'input');
+    }
   }
 
   // Trigger events
@@ -869,17 +1998,403 @@ function simulateHumanInput(element, value) {
   triggerEvent(element, 'blur');
 }
 
+// Widget adapters: custom controls built from ARIA roles (Material, Ant, MUI,
+// Google Forms) and rich-text contenteditable editors ignore .value, so each
+// adapter lists the widget's options and operates it like a user would
+const WIDGET_SELECTOR = [
+  '[role="combobox"]',
+  '[role="listbox"]',
+  '[role="radiogroup"]',
+  '[role="switch"]',
+  '[role="checkbox"]:not(input)',
+  '[contenteditable="true"]',
+  '[contenteditable=""]',
+  '[contenteditable="plaintext-only"]'
+].join(', ');
+
+const WIDGET_ADAPTERS = [
+  {
+    name: 'combobox',
+    fieldType: 'select',
+    matches: element => element.getAttribute('role') === 'combobox',
+    getOptions: element => {
+      const listbox = getControlledListbox(element);
+      return listbox ? getRoleOptions(listbox, 'option') : [];
+    },
+    isMultiple: element => getControlledListbox(element)?.getAttribute('aria-multiselectable') === 'true',
+    fill: async (element, value) => {
+      const isTextInput = element.matches('input, textarea');
+      simulateClick(element);
+
+      // Typing filters the popup on autocomplete-style comboboxes
+      if (isTextInput) {
+        element.focus();
+        await typeValue(element, value);
+      }
+
+      const listbox = await waitFor(() => getControlledListbox(element, true));
+      const options = listbox ? getRoleOptions(listbox, 'option') : [];
+      const index = matchOption(options, value);
+
+      if (index !== -1) {
+        simulateClick(options[index].element);
+      } else if (!isTextInput) {
+        simulateKey(element, 'Escape');
+        throw new Error(`No combobox option matches "${value}"`);
+      }
+    },
+    read: element => readComboboxValue(element)
+  },
+  {
+    name: 'listbox',
+    fieldType: 'select',
+    matches: element => element.getAttribute('role') === 'listbox',
+    // A listbox opened by a combobox is that combobox's popup, not a field
+    isPartOfAnotherField: element => Boolean(
+      element.closest('[role="combobox"]') ||
+      (element.id && element.getRootNode().querySelector?.(
+        `[aria-controls~="${CSS.escape(element.id)}"], [aria-owns~="${CSS.escape(element.id)}"]`
+      ))
+    ),
+    getOptions: element => getRoleOptions(element, 'option'),
+    isMultiple: element => element.getAttribute('aria-multiselectable') === 'true',
+    fill: async (element, value) => {
+      const options = getRoleOptions(element, 'option');
+      const multiple = element.getAttribute('aria-multiselectable') === 'true';
+      const wanted = multiple ? String(value).split(/\s*[,;\n]\s*/) : [String(value)];
+      const targets = wanted.map(item => matchOption(options, item)).filter(index => index !== -1);
+
+      if (targets.length === 0) {
+        throw new Error(`No listbox option matches "${value}"`);
+      }
+
+      options.forEach((option, index) => {
+        const selected = option.element.getAttribute('aria-selected') === 'true';
+        if (targets.includes(index) !== selected && (multiple || targets.includes(index))) {
+          simulateClick(option.element);
+        }
+      });
+    },
+    read: element => getRoleOptions(element, 'option')
+      .filter(option => option.element.getAttribute('aria-selected') === 'true')
+      .map(option => option.text)
+      .join(', ')
+  },
+  {
+    name: 'radiogroup',
+    fieldType: 'radio',
+    // Native radios inside the group are already handled as a choice group
+    matches: element => element.getAttribute('role') === 'radiogroup' && !element.querySelector('input[type="radio"]'),
+    getOptions: element => getRoleOptions(element, 'radio'),
+    isMultiple: () => false,
+    fill: async (element, value) => {
+      const options = getRoleOptions(element, 'radio');
+      const index = matchOption(options, value);
+      if (index === -1) {
+        throw new Error(`No radio option matches "${value}"`);
+      }
+      if (options[index].element.getAttribute('aria-checked') !== 'true') {
+        simulateClick(options[index].element);
+      }
+    },
+    read: element => getRoleOptions(element, 'radio')
+      .find(option => option.element.getAttribute('aria-checked') === 'true')?.text || ''
+  },
+  {
+    name: 'switch',
+    fieldType: 'checkbox',
+    matches: element => element.getAttribute('role') === 'switch' ||
+      (element.getAttribute('role') === 'checkbox' && element.tagName !== 'INPUT'),
+    getOptions: () => null,
+    isMultiple: () => false,
+    fill: async (element, value) => {
+      const isOn = element.getAttribute('aria-checked') === 'true';
+      if (isOn !== isAffirmativeValue(value)) {
+        simulateClick(element);
+      }
+    },
+    read: element => element.getAttribute('aria-checked') === 'true'
+  },
+  {
+    name: 'contenteditable',
+    fieldType: 'textarea',
+    matches: element => element.isContentEditable,
+    // Only the outermost editing host is a field; nested editable nodes are part of it
+    isPartOfAnotherField: element => Boolean(element.parentElement?.isContentEditable),
+    getOptions: () => null,
+    isMultiple: () => false,
+    fill: async (element, value) => {
+      element.focus();
+
+      // Select the existing content so typing replaces it
+      const ownerDocument = element.ownerDocument;
+      const selection = ownerDocument.getSelection();
+      const range = ownerDocument.createRange();
+      range.selectNodeContents(element);
+      selection.removeAllRanges();
+      selection.addRange(range);
+
+      // insertText goes through the editor's own input handling (ProseMirror,
+      // Quill, Draft.js...), which keeps their internal model in sync
+      const inserted = ownerDocument.execCommand('insertText', false, String(value));
+      if (!inserted || !element.textContent.includes(String(value).trim().slice(0, 20))) {
+        element.textContent = String(value);
+        element.dispatchEvent(new InputEvent('input', {
+          bubbles: true,
+          composed: true,
+          inputType: 'insertText',
+          data: String(value)
+        }));
+      }
+      triggerEvent(element, 'blur');
+    },
+    read: element => element.innerText.trim()
+  }
+];
+
+function getWidgetAdapter(element) {
+  if (!element || element.tagName === 'SELECT') return null;
+  return WIDGET_ADAPTERS.find(adapter => adapter.matches(element)) || null;
+}
+
+async function fillWidget(adapter, element, value) {
+  console.log(`🧩 Filling ${adapter.name} widget`);
+  await adapter.fill(element, value);
+
+  // Give the widget's framework a moment to re-render, then make sure it stuck
+  await sleep(150);
+  const currentValue = adapter.read(element);
+  if (!widgetValueMatches(adapter, currentValue, value)) {
+    throw new Error(`${adapter.name} value did not stick (expected "${value}", found "${currentValue}")`);
+  }
+}
+
+const SAME_VALUE_METHODS = ['exact', 'normalized', 'synonym', 'fuzzy'];
+
+// Equal once normalised, the same option under another name ("USA" read back
+// as "United States"), or the longer option the value was matched to
+// ("Software Engineering" for "engineering"). A partly typed or empty value
+// doesn't count
+function widgetValueMatches(adapter, currentValue, expectedValue) {
+  if (adapter.name === 'switch') {
+    return currentValue === isAffirmativeValue(expectedValue);
+  }
+  const current = normalizeOptionText(currentValue);
+  if (!current) return false;
+  if (current === normalizeOptionText(expectedValue)) return true;
+
+  // Multi-select listboxes read back their selected options joined with commas
+  const currentItems = String(currentValue).split(/\s*[,;\n]\s*/).filter(item => item.trim());
+  const expectedItems = String(expectedValue ?? '').split(/\s*[,;\n]\s*/).filter(item => item.trim());
+  if (currentItems.length !== expectedItems.length) return false;
+  const options = currentItems.map(item => ({ value: item, text: item }));
+  return expectedItems.every(item => {
+    const match = findOptionMatch(options, item);
+    return match.index !== -1 && (SAME_VALUE_METHODS.includes(match.method) ||
+      normalizeOptionText(currentItems[match.index]).length > normalizeOptionText(item).length);
+  });
+}
+
+// The value a combobox shows: its own or inner text input, the option its
+// aria-activedescendant points at, or its text without the popup's options
+function readComboboxValue(element) {
+  if (element.matches('input, textarea')) return element.value;
+  const input = element.querySelector('input:not([type="hidden"]), textarea');
+  if (input?.value) return input.value;
+
+  const activeId = element.getAttribute('aria-activedescendant');
+  const active = activeId && element.getRootNode().getElementById?.(activeId);
+  if (active) return active.getAttribute('aria-label') || active.textContent.trim();
+
+  const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const texts = [];
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentElement?.closest('[role="listbox"], [role="option"]')) {
+      texts.push(walker.currentNode.textContent);
+    }
+  }
+  return texts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+// Options are [role="option"] / [role="radio"] children, including ones
+// attached through aria-owns
+function getRoleOptions(container, role) {
+  const rootNode = container.getRootNode();
+  const owned = (container.getAttribute('aria-owns') || '').split(' ')
+    .map(id => id && rootNode.getElementById?.(id))
+    .filter(Boolean);
+
+  return [...container.querySelectorAll(`[role="${role}"]`), ...owned]
+    .filter(option => option.getAttribute('aria-disabled') !== 'true')
+    .map(option => ({
+      value: option.getAttribute('data-value') || option.getAttribute('aria-label') || option.textContent.trim(),
+      text: option.getAttribute('aria-label') || option.textContent.trim(),
+      element: option
+    }));
+}
+
+// Finds the listbox a combobox controls. Popups are often portalled to the end
+// of <body>, so when requireVisible is set fall back to the last visible one.
+function getControlledListbox(combobox, requireVisible = false) {
+  const rootNode = combobox.getRootNode();
+  const ids = `${combobox.getAttribute('aria-controls') || ''} ${combobox.getAttribute('aria-owns') || ''}`
+    .split(' ')
+    .filter(Boolean);
+
+  for (const id of ids) {
+    const element = rootNode.getElementById?.(id) || document.getElementById(id);
+    if (!element) continue;
+    const listbox = element.getAttribute('role') === 'listbox' ? element : element.querySelector('[role="listbox"]');
+    if (listbox) return listbox;
+  }
+
+  const nested = combobox.querySelector('[role="listbox"]');
+  if (nested) return nested;
+
+  if (requireVisible) {
+    const visible = deepQuerySelectorAll('[role="listbox"]').filter(isElementVisible);
+    return visible[visible.length - 1] || null;
+  }
+  return null;
+}
+
+function isElementVisible(element) {
+  const rect = element.getBoundingClientRect();
+  return rect.width > 0 && rect.height > 0;
+}
+
+// Fires the pointer and mouse sequence that widget libraries listen for;
+// several open their popup on mousedown rather than click
+function simulateClick(element) {
+  element.scrollIntoView?.({ block: 'nearest' });
+  const options = { bubbles: true, cancelable: true, composed: true, view: element.ownerDocument.defaultView };
+  element.dispatchEvent(new PointerEvent('pointerdown', options));
+  element.dispatchEvent(new MouseEvent('mousedown', options));
+  element.dispatchEvent(new PointerEvent('pointerup', options));
+  element.dispatchEvent(new MouseEvent('mouseup', options));
+  element.click();
+}
+
+function simulateKey(element, key) {
+  const options = { key, bubbles: true, cancelable: true, composed: true };
+  element.dispatchEvent(new KeyboardEvent('keydown', options));
+  element.dispatchEvent(new KeyboardEvent('keyup', options));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Polls until the check returns something truthy or the timeout elapses
+async function waitFor(check, timeout = 1500, interval = 50) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const result = check();
+    if (result) return result;
+    await sleep(interval);
+  }
+  return check() || null;
+}
+
+function isAffirmativeValue(value) {
+  if (value === true) return true;
+  return ['true', 'yes', 'y', 'on', '1', 'checked'].includes(String(value).trim().toLowerCase());
+}
+
+// Checks the inputs whose option matches the suggestion. Checkbox sets accept
+// several comma/semicolon separated options; radios take the first match.
+function fillChoiceGroup(group, value) {
+  const options = group.inputs.map(input => ({ value: input.value, text: getChoiceLabel(input) }));
+  const wanted = Array.isArray(value)
+    ? value
+    : group.type === 'checkbox' ? String(value).split(/\s*[,;\n]\s*/) : [String(value)];
+
+  const targets = wanted
+    .map(item => matchOption(options, item))
+    .filter(index => index !== -1)
+    .map(index => group.inputs[index]);
+
+  if (targets.length === 0) {
+    throw new Error(`No option matches "${value}". Options: ${options.map(o => o.text).join(', ')}`);
+  }
+
+  const inputsToChange = group.type === 'radio' ? [targets[0]] : group.inputs;
+  for (const input of inputsToChange) {
+    const shouldCheck = targets.includes(input);
+    if (input.checked === shouldCheck) continue;
+
+    // A real click toggles the input and fires input/change like a user would
+    input.focus();
+    input.click();
+
+    // Some sites cancel the click; set the state directly in that case
+    if (input.checked !== shouldCheck) {
+      input.checked = shouldCheck;
+      triggerEvent(input, 'input');
+      triggerEvent(input, 'change');
+    }
+  }
+
+  console.log(`☑️ Selected: ${targets.map(getChoiceLabel).join(', ')}`);
+}
+
+// Sets each select of a date picker from a YYYY-MM-DD (or YYYY-MM) value
+function fillDatePicker(group, value) {
+  const parts = parseDateText(value);
+  if (!parts) {
+    throw new Error(`"${value}" is not a date`);
+  }
+
+  for (const [kind, select] of Object.entries(group.parts)) {
+    const options = Array.from(select.options).map(option => ({ value: option.value, text: option.text }));
+    const index = parts[kind] === undefined ? -1 : findDatePartOption(options, kind, parts[kind]);
+    if (index === -1) {
+      throw new Error(`No ${kind} option for "${value}"`);
+    }
+
+    select.focus();
+    setNativeValue(select, options[index].value);
+    triggerEvent(select, 'input');
+    triggerEvent(select, 'change');
+    triggerEvent(select, 'blur');
+  }
+
+  console.log(`📅 Date picker set to ${value}`);
+}
+
+function selectNativeOptions(select, value) {
+  const options = Array.from(select.options).map(option => ({ value: option.value, text: option.text }));
+  const wanted = Array.isArray(value)
+    ? value
+    : select.multiple ? String(value).split(/\s*[,;\n]\s*/) : [String(value)];
+  const indexes = wanted.map(item => matchOption(options, item)).filter(index => index !== -1);
+
+  if (indexes.length === 0) {
+    throw new Error(`No option matches "${value}". Options: ${options.map(o => o.text).join(', ')}`);
+  }
+
+  if (select.multiple) {
+    Array.from(select.options).forEach((option, index) => { option.selected = indexes.includes(index); });
+  } else {
+    setNativeValue(select, options[indexes[0]].value);
+  }
+  console.log(`☑️ Selected: ${indexes.map(index => options[index].text).join(', ')}`);
+}
+
 function triggerEvent(element, eventType) {
-  const event = new Event(eventType, { bubbles: true, cancelable: true });
+  // composed lets the event escape shadow roots to listeners on the host page
+  const event = new Event(eventType, { bubbles: true, cancelable: true, composed: true });
   element.dispatchEvent(event);
 }
 
+// Builds a selector relative to the element's own root (document, iframe
+// document or shadow root); use generateLocator to reach nested roots
 function generateCssPath(element) {
   const path = [];
   while (element && element.nodeType === Node.ELEMENT_NODE) {
     let selector = element.tagName.toLowerCase();
     if (element.id) {
-      selector += `#${element.id}`;
+      selector += `#${CSS.escape(element.id)}`;
       path.unshift(selector);
       break;
     } else {
@@ -896,6 +2411,44 @@ function generateCssPath(element) {
   return path.join(' > ');
 }
 
+// Records the chain of shadow hosts and same-origin iframes between the top
+// document and the element, outermost first, so it can be found again later
+function generateLocator(element) {
+  const path = [];
+  let node = element;
+
+  while (node) {
+    const root = node.getRootNode();
+    if (root.host) {
+      path.unshift({ type: 'shadow', cssPath: generateCssPath(root.host) });
+      node = root.host;
+    } else if (root.nodeType === Node.DOCUMENT_NODE && root !== document && root.defaultView?.frameElement) {
+      const frame = root.defaultView.frameElement;
+      path.unshift({ type: 'frame', cssPath: generateCssPath(frame) });
+      node = frame;
+    } else {
+      break;
+    }
+  }
+
+  return { path, cssPath: generateCssPath(element) };
+}
+
+// Follows a locator's host/frame chain and returns the root the element
+// lives in, or null if any hop has disappeared
+function resolveLocatorRoot(locator) {
+  let root = document;
+
+  for (const step of locator?.path || []) {
+    const host = root.querySelector(step.cssPath);
+    if (!host) return null;
+    root = step.type === 'frame' ? getSameOriginFrameDocument(host) : host.shadowRoot;
+    if (!root) return null;
+  }
+
+  return root;
+}
+
 function findFieldElement(fieldInfo) {
   // Try all possible selectors in order of specificity
   let element = null;
@@ -909,15 +2462,33 @@ function findFieldElement(fieldInfo) {
   console.group('🔍 Finding field element:', fieldInfo.title?.text);
   console.log('Available selectors:', selectors);
 
+  // 0. Prefer the live element tracked since analysis, then resolve the
+  // shadow root / iframe the field was discovered in
+  const liveElement = liveFieldElements.get(fieldInfo.fieldKey);
+  if (liveElement?.isConnected) {
+    console.groupEnd();
+    return liveElement;
+  }
+
+  // A field inside a shadow root or iframe that is gone isn't looked for in
+  // the top document, where its selectors could match some other field
+  const locatorRoot = resolveLocatorRoot(fieldInfo.locator);
+  if (fieldInfo.locator?.path?.length && !locatorRoot) {
+    console.warn('⚠️ Field host chain no longer resolves, field not found');
+    console.groupEnd();
+    return null;
+  }
+  const root = locatorRoot || document;
+
   // 1. Try ID (most specific)
   if (selectors.id) {
-    element = document.getElementById(selectors.id);
+    element = root.getElementById(selectors.id);
     if (element) return element;
   }
 
   // 2. Try exact CSS path
   if (selectors.cssPath) {
-    element = document.querySelector(selectors.cssPath);
+    element = root.querySelector(selectors.cssPath);
     if (element) return element;
   }
 
@@ -955,7 +2526,7 @@ function findFieldElement(fieldInfo) {
 
   // 4. Try name attribute
   if (selectors.name) {
-    element = document.querySelector(`[name="${selectors.name}"]`);
+    element = root.querySelector(`[name="${selectors.name}"]`);
     if (element) {
       console.log('✅ Found by name attribute');
       return element;
@@ -967,7 +2538,7 @@ function findFieldElement(fieldInfo) {
     const classNames = selectors.className.split(' ');
     for (const className of classNames) {
       if (className && className !== 'ng-pristine' && className !== 'ng-untouched') {
-        element = document.querySelector(`.${className}[type="${selectors.type}"]`);
+        element = root.querySelector(`.${className}[type="${selectors.type}"]`);
         if (element) return element;
       }
     }
@@ -976,7 +2547,7 @@ function findFieldElement(fieldInfo) {
   // 5. Try finding by type and nearby text content
   if (fieldInfo.title?.text) {
     const escapedText = fieldInfo.title.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const elementsOfType = document.querySelectorAll(`input[type="${fieldInfo.type}"], textarea, select`);
+    const elementsOfType = root.querySelectorAll(`input[type="${fieldInfo.type}"], textarea, select`);
     
     for (const el of elementsOfType) {
       // Check if the title text appears in nearby elements
@@ -991,7 +2562,7 @@ function findFieldElement(fieldInfo) {
 
   // 6. Last resort: Try finding by similar attributes or placeholder
   if (fieldInfo.placeholder) {
-    element = document.querySelector(`[placeholder="${fieldInfo.placeholder}"]`);
+    element = root.querySelector(`[placeholder="${fieldInfo.placeholder}"]`);
     if (element) {
       console.log('✅ Found by placeholder');
       return element;
@@ -1003,7 +2574,207 @@ function findFieldElement(fieldInfo) {
   return null;
 }
 
-// Working indicator functions
+// Live analysis: a MutationObserver keeps this frame's field list current
+// while single-page apps swap wizard steps or reveal conditional fields.
+// Changes are analysed incrementally and pushed to background.js.
+const LIVE_UPDATE_DELAY = 400; // ms to let a burst of mutations settle
+const LIVE_UPDATE_MAX_WAIT = 2000; // ms at most between passes while mutations keep coming
+const LIVE_ATTRIBUTES = ['style', 'class', 'hidden', 'aria-hidden', 'disabled', 'type'];
+// The indicator, picker, ✨ button, review panel and undo offer
+const LIVE_OVERLAY_SELECTOR = '[id^="ai-form-filler-"]';
+
+let liveObserver = null;
+let liveFields = {};
+let liveFieldElements = new Map();
+let pendingLiveNodes = new Set();
+let liveUpdateTimer = null;
+let liveUpdateDeadline = null; // when the pass postponed by a stream of mutations has to run
+
+function startLiveAnalysis(fields, fieldElements) {
+  liveFields = { ...fields };
+  liveFieldElements = new Map(fieldElements);
+  pendingLiveNodes.clear();
+
+  if (liveObserver) {
+    liveObserver.disconnect();
+  }
+
+  liveObserver = new MutationObserver(handleLiveMutations);
+  getSearchRoots().forEach(observeLiveRoot);
+  console.log(`👀 Live analysis watching ${liveFieldElements.size} fields`);
+}
+
+function observeLiveRoot(root) {
+  liveObserver.observe(root, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: LIVE_ATTRIBUTES
+  });
+}
+
+function handleLiveMutations(mutations) {
+  let relevant = false;
+
+  for (const mutation of mutations) {
+    const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+    // Ignore our own overlays
+    if (target?.closest?.(LIVE_OVERLAY_SELECTOR)) continue;
+
+    if (mutation.type === 'childList') {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) pendingLiveNodes.add(node);
+      });
+      if (mutation.removedNodes.length > 0) relevant = true;
+    } else if (target && containsFormControl(target)) {
+      // A field may have been revealed by a style/class/hidden change; clocks,
+      // carousels and animations without fields are left alone
+      pendingLiveNodes.add(target);
+    }
+    relevant = relevant || pendingLiveNodes.size > 0;
+  }
+
+  if (relevant) {
+    // Wait for the burst to settle, but no longer than LIVE_UPDATE_MAX_WAIT
+    // after the first mutation, or a page that never stops changing would
+    // never be analysed
+    const now = Date.now();
+    liveUpdateDeadline ??= now + LIVE_UPDATE_MAX_WAIT;
+    clearTimeout(liveUpdateTimer);
+    liveUpdateTimer = setTimeout(processLiveUpdate, Math.max(0, Math.min(LIVE_UPDATE_DELAY, liveUpdateDeadline - now)));
+  }
+}
+
+function containsFormControl(element) {
+  const selector = `input, select, textarea, ${WIDGET_SELECTOR}`;
+  return element.matches?.(selector) || Boolean(element.querySelector?.(selector));
+}
+
+async function processLiveUpdate() {
+  clearTimeout(liveUpdateTimer);
+  liveUpdateTimer = null;
+  liveUpdateDeadline = null;
+  let changed = false;
+
+  // 1. Drop fields whose element left the DOM
+  for (const [key, element] of liveFieldElements) {
+    if (!element.isConnected) {
+      liveFieldElements.delete(key);
+      delete liveFields[key];
+      changed = true;
+      console.log(`➖ Field removed: ${key}`);
+    }
+  }
+
+  // 2. Analyse only the subtrees that were added or changed
+  const nodes = Array.from(pendingLiveNodes).filter(node => node.isConnected);
+  pendingLiveNodes.clear();
+
+  if (nodes.length > 0) {
+    const containers = [];
+    for (const node of nodes) {
+      // querySelectorAll skips the node itself, so start from its parent when it is a field
+      const container = node.matches(`input, select, textarea, ${WIDGET_SELECTOR}`) ? (node.parentElement || node) : node;
+      for (const root of getSearchRoots(container)) {
+        containers.push(root);
+        // Shadow roots and frames attached since the last pass need observing too
+        if (root !== container) observeLiveRoot(root);
+      }
+    }
+
+    const knownElements = new Set(liveFieldElements.values());
+    const fieldElements = new Map();
+    const newFields = await analyzeFormFields(containers, fieldElements);
+
+    for (const [key, field] of Object.entries(newFields)) {
+      const element = fieldElements.get(key);
+      if (!element || knownElements.has(element)) continue;
+
+      // Generated keys (field_N) restart per pass, so keep them unique
+      let uniqueKey = key;
+      for (let n = 2; liveFields[uniqueKey] && liveFieldElements.get(uniqueKey) !== element; n++) {
+        uniqueKey = `${key}_${n}`;
+      }
+
+      liveFields[uniqueKey] = compressFieldInfo(uniqueKey, field);
+      liveFieldElements.set(uniqueKey, element);
+      knownElements.add(element);
+      changed = true;
+      console.log(`➕ Field added: ${uniqueKey} (${field.title.text})`);
+    }
+  }
+
+  if (changed) {
+    chrome.runtime.sendMessage({
+      action: 'frameFieldsUpdated',
+      fields: liveFields,
+      url: window.location.href,
+      signature: computeSchemaSignature(liveFields)
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('⚠️ Could not push live field update:', chrome.runtime.lastError.message);
+      }
+    });
+  }
+}
+
+// Current fields of the live analysis, with pending mutations applied;
+// analyses the page first if nothing has been analysed in this frame yet
+async function getLiveFields() {
+  if (!liveObserver) {
+    await analyzePage();
+  } else if (liveUpdateTimer || pendingLiveNodes.size > 0) {
+    await processLiveUpdate();
+  }
+  return liveFields;
+}
+
+// Short fingerprint of a field set (keys, types and titles) so background.js
+// can tell whether a stored analysis still matches the page
+function computeSchemaSignature(fields) {
+  const description = Object.entries(fields || {})
+    .map(([key, field]) => `${key}|${field.type}|${field.title?.text || ''}`)
+    .sort()
+    .join('\n');
+
+  let hash = 5381;
+  for (let i = 0; i < description.length; i++) {
+    hash = ((hash << 5) + hash + description.charCodeAt(i)) | 0;
+  }
+  return `${Object.keys(fields || {}).length}:${(hash >>> 0).toString(16)}`;
+}
+
+// Fields from the live analysis that are on screen right now
+async function getVisibleLiveFields() {
+  await getLiveFields();
+
+  const visibleFields = {};
+  for (const [key, field] of Object.entries(liveFields)) {
+    const element = liveFieldElements.get(key);
+    if (element?.isConnected && isElementVisible(element) && !shouldSkipElement(element)) {
+      visibleFields[key] = field;
+    }
+  }
+
+  console.log(`👀 ${Object.keys(visibleFields).length}/${Object.keys(liveFields).length} analysed fields are visible`);
+  return visibleFields;
+}
+
+// Working indicator functions. While filling, the indicator grows into a
+// progress panel: "Field 4/17: Email", a progress bar and one line per field
+const FILL_STATUS_ICONS = {
+  pending: '⏳',
+  filled: '✅',
+  kept: '⏭️',
+  conflict: '⚠️',
+  proposed: '📋',
+  rejected: '🚫',
+  cancelled: '⏹️',
+  unsatisfied: '⛔',
+  invalid: '❗',
+  error: '❌'
+};
+
 function showWorkingIndicator(message = 'Working...') {
   // Remove existing indicator if present
   hideWorkingIndicator();
@@ -1015,6 +2786,7 @@ function showWorkingIndicator(message = 'Working...') {
       position: fixed;
       top: 20px;
       right: 20px;
+      width: 300px;
       background: #4285f4;
       color: white;
       padding: 12px 20px;
@@ -1023,19 +2795,25 @@ function showWorkingIndicator(message = 'Working...') {
       z-index: 10000;
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
       font-size: 14px;
-      display: flex;
-      align-items: center;
-      gap: 10px;
     ">
-      <div style="
-        width: 16px;
-        height: 16px;
-        border: 2px solid #fff;
-        border-top: 2px solid transparent;
-        border-radius: 50%;
-        animation: spin 1s linear infinite;
-      "></div>
-      ${message}
+      <div style="display: flex; align-items: center; gap: 10px;">
+        <div style="
+          flex: none;
+          width: 16px;
+          height: 16px;
+          border: 2px solid #fff;
+          border-top: 2px solid transparent;
+          border-radius: 50%;
+          animation: spin 1s linear infinite;
+        "></div>
+        <span data-role="message" style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></span>
+      </div>
+      <div data-role="progress" style="display: none; margin-top: 8px;">
+        <div style="height: 4px; background: rgba(255,255,255,0.3); border-radius: 2px;">
+          <div data-role="bar" style="height: 4px; width: 0; background: #fff; border-radius: 2px; transition: width 0.2s;"></div>
+        </div>
+        <div data-role="fields" style="margin-top: 8px; max-height: 180px; overflow-y: auto; font-size: 12px;"></div>
+      </div>
     </div>
     <style>
       @keyframes spin {
@@ -1044,8 +2822,32 @@ function showWorkingIndicator(message = 'Working...') {
       }
     </style>
   `;
+  indicator.querySelector('[data-role="message"]').textContent = message;
   
   document.body.appendChild(indicator);
+  return indicator;
+}
+
+// progress: { current, total, frameId, field: { fieldKey, title, status, value } }
+function updateWorkingProgress({ current, total, frameId = 0, field }) {
+  const indicator = document.getElementById('ai-form-filler-indicator') || showWorkingIndicator('Filling forms...');
+  indicator.querySelector('[data-role="message"]').textContent = `Field ${current}/${total}: ${field.title}`;
+  indicator.querySelector('[data-role="progress"]').style.display = 'block';
+  indicator.querySelector('[data-role="bar"]').style.width = `${Math.round(current / total * 100)}%`;
+  
+  // One line per field, updated in place as its status changes
+  const list = indicator.querySelector('[data-role="fields"]');
+  const rowKey = `${frameId}:${field.fieldKey}`;
+  let row = Array.from(list.children).find(child => child.dataset.key === rowKey);
+  if (!row) {
+    row = document.createElement('div');
+    row.dataset.key = rowKey;
+    row.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap; padding: 1px 0;';
+    list.appendChild(row);
+    list.scrollTop = list.scrollHeight;
+  }
+  const value = field.status === 'filled' && field.value !== null ? ` → ${String(field.value).slice(0, 40)}` : '';
+  row.textContent = `${FILL_STATUS_ICONS[field.status] || '•'} ${field.title}${value}`;
 }
 
 function hideWorkingIndicator() {
@@ -1055,6 +2857,54 @@ function hideWorkingIndicator() {
   }
 }
 
+const UNDO_OFFER_DURATION = 15000; // ms the "Undo fill" button stays on the page
+
+// Shown in the top frame once a fill finishes; the undo itself runs through
+// background.js so every frame restores its own fields
+function showUndoOffer(filledCount) {
+  document.getElementById('ai-form-filler-undo')?.remove();
+  
+  const offer = document.createElement('div');
+  offer.id = 'ai-form-filler-undo';
+  offer.innerHTML = `
+    <div style="
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      background: #323232;
+      color: white;
+      padding: 10px 16px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      display: flex;
+      align-items: center;
+      gap: 12px;
+    ">
+      ✅ Filled ${Number(filledCount) || 0} field(s)
+      <button type="button" style="
+        background: none;
+        border: 1px solid #8ab4f8;
+        color: #8ab4f8;
+        padding: 4px 10px;
+        border-radius: 4px;
+        cursor: pointer;
+        font: inherit;
+      ">↩️ Undo fill</button>
+    </div>
+  `;
+  
+  offer.querySelector('button').addEventListener('click', () => {
+    offer.remove();
+    chrome.runtime.sendMessage({ action: 'undoTab' });
+  });
+  
+  document.body.appendChild(offer);
+  setTimeout(() => offer.remove(), UNDO_OFFER_DURATION);
+}
+
 // Form submission monitoring
 let isMonitoringSubmissions = false;
 
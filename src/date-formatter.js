@@ -0,0 +1,306 @@
+// Date and time formatting for form fields. Parses the many ways a date shows
+// up in documents and model answers ("born 3 March 1988", "03/03/1988",
+// "1988-03-03") into parts, then writes them in the exact format a field
+// expects: the wire format of native date/time inputs, a display format read
+// from the placeholder ("DD/MM/YYYY"), a single part for day/month/year
+// fields, or the day/month/year selects of a three-select picker.
+
+const TEMPORAL_INPUT_FORMATS = {
+  date: 'YYYY-MM-DD',
+  month: 'YYYY-MM',
+  week: 'GGGG-[W]WW',
+  time: 'HH:mm',
+  'datetime-local': 'YYYY-MM-DDTHH:mm'
+};
+
+const ENGLISH_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// Canonical types whose value is one part of a date
+const DATE_PART_TYPES = {
+  'bday-day': 'day',
+  'bday-month': 'month',
+  'bday-year': 'year',
+  'cc-exp-month': 'month',
+  'cc-exp-year': 'year'
+};
+
+// Display formats in placeholders and hints: DD/MM/YYYY, mm-dd-yy, YYYY.MM.DD
+const DISPLAY_FORMAT_PATTERN = /\b(?:dd?|mm?|yy(?:yy)?)(?:[\/.\- ](?:dd?|mm?|yy(?:yy)?)){1,2}\b/i;
+
+let monthNameCache = null;
+
+// Long and short month names in English and the page's own language → month number
+function getMonthNames() {
+  if (monthNameCache) return monthNameCache;
+  monthNameCache = new Map();
+  ENGLISH_MONTHS.forEach((name, index) => {
+    monthNameCache.set(name, index + 1);
+    monthNameCache.set(name.slice(0, 3), index + 1);
+  });
+
+  const locale = document.documentElement.lang || navigator.language;
+  try {
+    ['long', 'short'].forEach(month => {
+      const formatter = new Intl.DateTimeFormat(locale, { month });
+      for (let index = 0; index < 12; index++) {
+        const name = formatter.format(new Date(2000, index, 15)).toLowerCase().replace(/\.$/, '');
+        if (!monthNameCache.has(name)) monthNameCache.set(name, index + 1);
+      }
+    });
+  } catch (error) {
+    console.warn('⚠️ Could not load month names for', locale, error);
+  }
+  return monthNameCache;
+}
+
+function parseMonthName(text) {
+  const normalized = String(text).toLowerCase().replace(/\.$/, '');
+  const months = getMonthNames();
+  if (months.has(normalized)) return months.get(normalized);
+  // "Sept", "Sept." and other abbreviations longer than three letters
+  const match = ENGLISH_MONTHS.findIndex(name => normalized.length >= 3 && name.startsWith(normalized));
+  return match === -1 ? null : match + 1;
+}
+
+// Day-first or month-first for ambiguous numeric dates such as 03/04/1988
+function getLocaleDateOrder() {
+  const locale = (document.documentElement.lang || navigator.language || '').toLowerCase();
+  return /^en(-us|-ph)?$/.test(locale) ? 'MDY' : 'DMY';
+}
+
+function expandYear(year) {
+  const number = Number(year);
+  if (String(year).length > 2) return number;
+  // Two-digit years up to next year are this century, the rest the previous one
+  const pivot = (new Date().getFullYear() % 100) + 1;
+  return number <= pivot ? 2000 + number : 1900 + number;
+}
+
+// Returns { year, month, day, hour, minute } with whatever parts the text
+// contains, or null when it holds no recognisable date or time. order
+// ('DMY' / 'MDY') resolves ambiguous numeric dates; 'MY' reads "08/27" as a
+// month and year, as card expiry fields write it
+function parseDateText(text, order = null) {
+  if (text === null || text === undefined) return null;
+  const source = String(text).trim();
+  const parts = {};
+  let match;
+
+  const monthName = '(\\p{L}{3,}\\.?)';
+
+  if ((match = source.match(/(\d{4})-W(\d{1,2})/i))) {
+    Object.assign(parts, getWeekStart(Number(match[1]), Number(match[2])));
+  } else if ((match = source.match(/(\d{4})[-\/.](\d{1,2})(?:[-\/.](\d{1,2}))?/))) {
+    // ISO and other year-first dates
+    Object.assign(parts, { year: Number(match[1]), month: Number(match[2]), day: match[3] ? Number(match[3]) : undefined });
+  } else if (order === 'MY' && (match = source.match(/^(\d{1,2})\s*[\/.\-]\s*(\d{4}|\d{2})$/))) {
+    // Two-digit years of a month/year value lie ahead, like card expiries
+    Object.assign(parts, { year: match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]), month: Number(match[1]) });
+  } else if ((match = source.match(/(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{4}|\d{2})\b/))) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    const dayOrder = order === 'DMY' || order === 'MDY' ? order : getLocaleDateOrder();
+    const dayFirst = first > 12 || (second <= 12 && dayOrder === 'DMY');
+    Object.assign(parts, {
+      year: expandYear(match[3]),
+      month: dayFirst ? second : first,
+      day: dayFirst ? first : second
+    });
+  } else if ((match = source.match(new RegExp(`(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${monthName},?\\s+(\\d{4})`, 'iu'))) &&
+             parseMonthName(match[2])) {
+    // 3 March 1988, 3rd of March 1988
+    Object.assign(parts, { year: Number(match[3]), month: parseMonthName(match[2]), day: Number(match[1]) });
+  } else if ((match = source.match(new RegExp(`${monthName}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`, 'iu'))) &&
+             parseMonthName(match[1])) {
+    // March 3, 1988
+    Object.assign(parts, { year: Number(match[3]), month: parseMonthName(match[1]), day: Number(match[2]) });
+  } else if ((match = source.match(new RegExp(`${monthName}\\s+(\\d{4})`, 'iu'))) && parseMonthName(match[1])) {
+    // March 1988
+    Object.assign(parts, { year: Number(match[2]), month: parseMonthName(match[1]) });
+  } else if ((match = source.match(/\b(1[89]\d{2}|2[01]\d{2})\b/))) {
+    parts.year = Number(match[1]);
+  }
+
+  if ((match = source.match(/\b(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?/i))) {
+    let hour = Number(match[1]);
+    const meridiem = match[3]?.toLowerCase().replace(/\./g, '');
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+    Object.assign(parts, { hour, minute: Number(match[2]) });
+  }
+
+  Object.keys(parts).forEach(key => parts[key] === undefined && delete parts[key]);
+  if (Object.keys(parts).length === 0 || !isValidDateParts(parts)) return null;
+  return parts;
+}
+
+function isValidDateParts({ year, month, day, hour, minute }) {
+  if (month !== undefined && (month < 1 || month > 12)) return false;
+  if (day !== undefined) {
+    const lastDay = new Date(year ?? 2000, month ?? 1, 0).getDate();
+    if (day < 1 || day > lastDay) return false;
+  }
+  if (hour !== undefined && (hour > 23 || minute > 59)) return false;
+  return true;
+}
+
+// Monday of ISO week `week` in `year`
+function getWeekStart(year, week) {
+  const januaryFourth = new Date(Date.UTC(year, 0, 4));
+  const monday = new Date(januaryFourth);
+  monday.setUTCDate(januaryFourth.getUTCDate() - ((januaryFourth.getUTCDay() + 6) % 7) + (week - 1) * 7);
+  return { year: monday.getUTCFullYear(), month: monday.getUTCMonth() + 1, day: monday.getUTCDate() };
+}
+
+// ISO week-numbering year and week of a date
+function getIsoWeek({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // The Thursday of the date's week decides its week-numbering year
+  date.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+  const weekYear = date.getUTCFullYear();
+  const januaryFourth = new Date(Date.UTC(weekYear, 0, 4));
+  const week = 1 + Math.round(((date - januaryFourth) / 86400000 - 3 + ((januaryFourth.getUTCDay() + 6) % 7)) / 7);
+  return { weekYear, week };
+}
+
+// Writes date parts with a pattern of YYYY, YY, MMMM, MMM, MM, M, DD, D, HH
+// and mm tokens, plus GGGG and WW for the ISO week-numbering year and week;
+// text in [brackets] is literal. Returns null when the pattern needs a part
+// that's missing
+function formatDateParts(parts, pattern) {
+  const pad = number => String(number).padStart(2, '0');
+  let missing = false;
+  const need = value => {
+    if (value === undefined) missing = true;
+    return value ?? 0;
+  };
+
+  const needDate = () => [parts.year, parts.month, parts.day].forEach(need);
+
+  const output = pattern.replace(/\[([^\]]*)\]|GGGG|YYYY|YY|MMMM|MMM|MM|M|DD|D|WW|HH|mm/g, (token, literal) => {
+    if (literal !== undefined) return literal;
+    switch (token) {
+      case 'GGGG': needDate(); return missing ? '' : String(getIsoWeek(parts).weekYear);
+      case 'WW': needDate(); return missing ? '' : pad(getIsoWeek(parts).week);
+      case 'YYYY': return String(need(parts.year));
+      case 'YY': return pad(need(parts.year) % 100);
+      case 'MMMM': return capitalize(ENGLISH_MONTHS[need(parts.month) - 1] || '');
+      case 'MMM': return capitalize((ENGLISH_MONTHS[need(parts.month) - 1] || '').slice(0, 3));
+      case 'MM': return pad(need(parts.month));
+      case 'M': return String(need(parts.month));
+      case 'DD': return pad(need(parts.day));
+      case 'D': return String(need(parts.day));
+      case 'HH': return pad(need(parts.hour));
+      case 'mm': return pad(need(parts.minute));
+      default: return token;
+    }
+  });
+
+  return missing ? null : output;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// "dd/mm/yyyy" → "DD/MM/YYYY"; null when the hint holds no date format
+function getDisplayDateFormat(hint) {
+  const match = String(hint || '').match(DISPLAY_FORMAT_PATTERN);
+  return match ? match[0].toUpperCase() : null;
+}
+
+// DMY / MDY order implied by a display format, for parsing ambiguous dates;
+// MY for a month and year without a day (MM/YY)
+function getFormatOrder(format) {
+  if (!format) return null;
+  const dayIndex = format.indexOf('D');
+  const monthIndex = format.indexOf('M');
+  if (dayIndex === -1 && monthIndex !== -1 && format.includes('Y')) return 'MY';
+  if (dayIndex === -1 || monthIndex === -1) return null;
+  return dayIndex < monthIndex ? 'DMY' : 'MDY';
+}
+
+function isDateField(fieldInfo) {
+  return Boolean(TEMPORAL_INPUT_FORMATS[fieldInfo.type] || fieldInfo.datePicker ||
+    DATE_PART_TYPES[fieldInfo.semanticType?.token] || getDisplayDateFormat(fieldInfo.placeholder));
+}
+
+// Converts a suggested date to the format the field expects. Returns the
+// formatted string, or null when the value isn't a usable date. Only call
+// for fields where isDateField is true
+function formatDateSuggestion(value, fieldInfo) {
+  const displayFormat = getDisplayDateFormat(fieldInfo.placeholder);
+  const datePart = DATE_PART_TYPES[fieldInfo.semanticType?.token];
+
+  // A day, month or year field may already have been answered with just that part
+  const text = String(value ?? '').trim();
+  if (datePart && !fieldInfo.datePicker) {
+    if (/^\d{1,4}$/.test(text)) return String(Number(text));
+    if (datePart === 'month' && parseMonthName(text)) return String(parseMonthName(text));
+  }
+
+  const parts = parseDateText(text, getFormatOrder(displayFormat));
+  if (!parts) return null;
+
+  // Three-select pickers take a full date, or year and month for month/year pickers
+  if (fieldInfo.datePicker) {
+    return formatDateParts(parts, 'YYYY-MM-DD') || formatDateParts(parts, 'YYYY-MM');
+  }
+
+  // Day, month or year on its own
+  if (datePart) {
+    const number = parts[datePart];
+    return number === undefined ? null : String(number);
+  }
+
+  const wireFormat = TEMPORAL_INPUT_FORMATS[fieldInfo.type];
+  if (wireFormat) {
+    // A date without a time still makes a valid datetime-local value
+    const completeParts = fieldInfo.type === 'datetime-local' ? { hour: 0, minute: 0, ...parts } : parts;
+    return formatDateParts(completeParts, wireFormat);
+  }
+
+  return displayFormat ? formatDateParts(parts, displayFormat) : null;
+}
+
+// Today in the field's format, for fallback suggestions
+function getTodayForField(fieldInfo) {
+  const now = new Date();
+  const today = formatDateParts({
+    year: now.getFullYear(),
+    month: now.getMonth() + 1,
+    day: now.getDate(),
+    hour: now.getHours(),
+    minute: now.getMinutes()
+  }, 'YYYY-MM-DD HH:mm');
+  return formatDateSuggestion(today, fieldInfo);
+}
+
+// Which date part a <select> holds, judged by its options: years, twelve
+// months (names or numbers) or the days 1-31. null for other selects
+function getDatePartKind(options) {
+  // Leave out placeholders such as "Month" or "-- Select --"
+  const values = options
+    .filter(option => option.value === undefined || String(option.value).trim() !== '')
+    .map(option => String(option.text || option.value || '').trim())
+    .filter(text => text && !/^[-–—]*$|^(day|month|year|dd|mm|yyyy)$|select|choose|επιλ/i.test(text));
+  if (values.length < 2) return null;
+
+  const numbers = values.map(Number);
+  const allNumbers = numbers.every(number => Number.isInteger(number));
+
+  if (allNumbers && numbers.every(number => number >= 1900 && number <= 2100)) return 'year';
+  if (values.length === 12 && (values.every(value => parseMonthName(value)) ||
+      (allNumbers && numbers.every((number, index) => number === index + 1)))) return 'month';
+  if (allNumbers && values.length >= 28 && values.length <= 31 && numbers.every((number, index) => number === index + 1)) return 'day';
+  return null;
+}
+
+// The option of a date part select that holds the given number (month names included)
+function findDatePartOption(options, kind, number) {
+  return options.findIndex(option => [option.value, option.text].some(text => {
+    const trimmed = String(text ?? '').trim();
+    if (trimmed !== '' && Number(trimmed) === number) return true;
+    return kind === 'month' && parseMonthName(trimmed) === number;
+  }));
+}
@@ -0,0 +1,334 @@
+// Single-field suggestions, from the "suggest for this field" context menu
+// entry or the optional ✨ button shown inside a focused field. The field's
+// top candidates are listed under it with their sources, and the one the
+// user picks is inserted like a normal fill (so Undo fill restores it).
+// The fill-focused-field shortcut skips the list and inserts the best one.
+
+const MAX_FIELD_CANDIDATES = 4;
+const FIELD_PICKER_ID = 'ai-form-filler-picker';
+const FIELD_BUTTON_ID = 'ai-form-filler-field-button';
+const FIELD_BUTTON_SIZE = 22;
+// Inputs the ✨ button is offered in; choice inputs and pickers have no room for it
+const FIELD_BUTTON_INPUT_TYPES = ['text', 'email', 'tel', 'url', 'search', 'number', ''];
+
+const FIELD_PICKER_STYLE = `
+  .picker {
+    position: fixed;
+    width: 340px;
+    max-height: 320px;
+    overflow-y: auto;
+    background: #fff;
+    color: #222;
+    border-radius: 8px;
+    box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 13px;
+  }
+  .header { display: flex; justify-content: space-between; align-items: center; padding: 8px 12px; background: #4285f4; color: #fff; border-radius: 8px 8px 0 0; font-weight: 600; }
+  .close { background: none; border: none; color: #fff; font-size: 16px; cursor: pointer; }
+  .candidate { display: block; width: 100%; text-align: left; padding: 8px 12px; border: none; border-bottom: 1px solid #f2f2f2; background: #fff; cursor: pointer; font: inherit; color: inherit; }
+  .candidate:hover, .candidate:focus { background: #f5f9ff; outline: none; }
+  .value { white-space: pre-wrap; overflow-wrap: anywhere; }
+  .meta { margin-top: 2px; font-size: 11px; color: #666; }
+  .message { padding: 10px 12px; color: #555; }
+`;
+
+// The element last right-clicked, for the context menu entry. composedPath
+// reaches into open shadow roots, where event.target would be the host
+let contextMenuTarget = null;
+document.addEventListener('contextmenu', event => {
+  contextMenuTarget = event.composedPath()[0] || event.target;
+}, true);
+
+// document.activeElement stops at shadow hosts; follow them down
+function getDeepActiveElement() {
+  let element = document.activeElement;
+  while (element?.shadowRoot?.activeElement) {
+    element = element.shadowRoot.activeElement;
+  }
+  return element;
+}
+
+// From whatever was clicked to the field element itself: the input, or the
+// outermost editing host for rich text editors
+function resolveFieldElement(target) {
+  if (!(target instanceof Element)) return null;
+  let element = target.closest(`input, select, textarea, ${WIDGET_SELECTOR}`);
+  while (element?.isContentEditable && element.parentElement?.isContentEditable) {
+    element = element.parentElement;
+  }
+  return element && !shouldSkipElement(element) ? element : null;
+}
+
+// Analyses just this element (or the radio group / date picker it belongs
+// to), the same way a whole-page analysis would
+function analyzeSingleField(element) {
+  const choiceGroup = getChoiceGroup(element);
+  if (choiceGroup) {
+    const groupField = extractChoiceGroupInfo(choiceGroup);
+    return groupField ? compressFieldInfo(choiceGroup.key, groupField) : null;
+  }
+
+  const datePicker = getDatePickerGroup(element);
+  if (datePicker) {
+    const pickerField = extractDatePickerInfo(datePicker);
+    return pickerField ? compressFieldInfo(datePicker.key, pickerField) : null;
+  }
+
+  const fieldInfo = extractFieldInfo(element);
+  // The user picked this field, so settle for a weak title rather than none
+  const title = findMeaningfulTitle(fieldInfo.contextualInfo, element) || {
+    text: fieldInfo.placeholder || fieldInfo.name || fieldInfo.id || 'this field',
+    source: 'fallback',
+    confidence: 0.3
+  };
+  return compressFieldInfo(fieldInfo.id || fieldInfo.name || 'field_0', createFieldRecord(element, fieldInfo, title));
+}
+
+async function suggestForField(target) {
+  const element = resolveFieldElement(target);
+  if (!element) {
+    console.warn('⚠️ No fillable field at the context menu position:', target);
+    return;
+  }
+
+  const fieldInfo = analyzeSingleField(element);
+  if (!fieldInfo) {
+    console.warn('⚠️ Could not analyse field:', element);
+    return;
+  }
+
+  console.group(`🎯 Suggestions for a single field: ${fieldInfo.title.text}`);
+  const picker = showFieldPicker(element, fieldInfo.title.text);
+
+  try {
+    const { customInstructions = '' } = await chrome.storage.local.get('customInstructions');
+    const alternatives = [];
+    const best = await getIntelligentSuggestion(fieldInfo, customInstructions, alternatives);
+
+    // Same value from several chunks is listed once, with its best source
+    const candidates = [];
+    for (const suggestion of [best, ...alternatives]) {
+      if (suggestion.violations || suggestion.value === null || suggestion.value === undefined) continue;
+      if (candidates.some(candidate => String(candidate.value) === String(suggestion.value))) continue;
+      candidates.push(suggestion);
+    }
+
+    const chosen = await picker.choose(candidates.slice(0, MAX_FIELD_CANDIDATES), best.violations);
+    if (!chosen) {
+      console.log('🚫 No suggestion chosen');
+      return;
+    }
+
+    // A single-field insert is its own fill as far as Undo fill is concerned
+    beginFillSnapshots();
+    await writeSuggestion(fieldInfo.fieldKey, fieldInfo, chosen);
+  } catch (error) {
+    console.error('❌ Single-field suggestion failed:', error);
+    picker.showMessage(`❌ ${error.message}`);
+  } finally {
+    console.groupEnd();
+  }
+}
+
+// Keyboard shortcut version: fills the focused field with its best
+// suggestion straight away. focused is false when this frame doesn't hold focus
+async function fillFocusedField() {
+  const element = document.hasFocus() ? resolveFieldElement(getDeepActiveElement()) : null;
+  const fieldInfo = element && analyzeSingleField(element);
+  if (!fieldInfo) {
+    return { success: false, focused: false };
+  }
+
+  console.group(`⌨️ Filling the focused field: ${fieldInfo.title.text}`);
+  try {
+    const { customInstructions = '' } = await chrome.storage.local.get('customInstructions');
+    const suggestion = await getIntelligentSuggestion(fieldInfo, customInstructions);
+    const violations = suggestion.violations || checkSuggestion(fieldInfo, suggestion);
+    if (violations.length > 0) {
+      console.warn(`⛔ No valid value: ${violations.join('; ')}`);
+      return { success: false, focused: true, error: violations.join('; ') };
+    }
+
+    beginFillSnapshots();
+    await writeSuggestion(fieldInfo.fieldKey, fieldInfo, suggestion);
+    return { success: true, focused: true, value: suggestion.value };
+  } catch (error) {
+    console.error('❌ Filling the focused field failed:', error);
+    return { success: false, focused: true, error: error.message };
+  } finally {
+    console.groupEnd();
+  }
+}
+
+// Shows a "Finding suggestions..." popover under the field. choose() lists
+// the candidates and resolves with the clicked one, or null when closed
+function showFieldPicker(element, title) {
+  document.getElementById(FIELD_PICKER_ID)?.remove();
+
+  const host = document.createElement('div');
+  host.id = FIELD_PICKER_ID;
+  host.style.cssText = 'all: initial; position: fixed; z-index: 2147483647;';
+  // A shadow root keeps the page's styles off the popover
+  const shadow = host.attachShadow({ mode: 'open' });
+  shadow.innerHTML = `
+    <style>${FIELD_PICKER_STYLE}</style>
+    <div class="picker">
+      <div class="header"><span></span><button class="close" title="Close">×</button></div>
+      <div class="body"><div class="message">⏳ Finding suggestions...</div></div>
+    </div>
+  `;
+  shadow.querySelector('.header span').textContent = `✨ ${title}`;
+
+  // Below the field, or above it when there is no room underneath
+  const box = shadow.querySelector('.picker');
+  const rect = element.getBoundingClientRect();
+  box.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 348))}px`;
+  if (window.innerHeight - rect.bottom < 200 && rect.top > 200) {
+    box.style.bottom = `${window.innerHeight - rect.top + 4}px`;
+  } else {
+    box.style.top = `${rect.bottom + 4}px`;
+  }
+
+  const body = shadow.querySelector('.body');
+  let settle = () => {};
+  const close = () => {
+    host.remove();
+    document.removeEventListener('mousedown', closeOnOutsideClick, true);
+    settle(null);
+  };
+  const closeOnOutsideClick = event => {
+    if (!event.composedPath().includes(host)) close();
+  };
+
+  shadow.querySelector('.close').addEventListener('click', close);
+  host.addEventListener('keydown', event => {
+    event.stopPropagation();
+    if (event.key === 'Escape') close();
+  });
+  document.addEventListener('mousedown', closeOnOutsideClick, true);
+  document.documentElement.appendChild(host);
+
+  return {
+    choose: (candidates, violations) => new Promise(resolve => {
+      if (!host.isConnected) {
+        resolve(null);
+        return;
+      }
+      settle = resolve;
+
+      if (candidates.length === 0) {
+        body.innerHTML = '<div class="message"></div>';
+        body.firstChild.textContent = violations?.length
+          ? `⛔ No valid value: ${violations.join('; ')}`
+          : '📭 No suggestions for this field';
+        return;
+      }
+
+      body.innerHTML = '';
+      candidates.forEach(candidate => {
+        const button = document.createElement('button');
+        button.className = 'candidate';
+        button.innerHTML = '<div class="value"></div><div class="meta"></div>';
+        const text = formatReviewValue(candidate.value);
+        button.querySelector('.value').textContent = text.length > 200 ? `${text.slice(0, 200)}…` : text;
+        const source = REVIEW_SOURCE_LABELS[candidate.source] || candidate.source;
+        const fileName = REVIEW_CITED_SOURCES.includes(candidate.source) && candidate.fileName ? ` · ${candidate.fileName}` : '';
+        button.querySelector('.meta').textContent = `${source} · ${Math.round((candidate.confidence ?? 0) * 100)}%${fileName}`;
+        button.addEventListener('click', () => {
+          settle = () => {};
+          close();
+          resolve(candidate);
+        });
+        body.appendChild(button);
+      });
+      body.querySelector('.candidate').focus();
+    }),
+    showMessage: message => {
+      if (!host.isConnected) return;
+      body.innerHTML = '<div class="message"></div>';
+      body.firstChild.textContent = message;
+    }
+  };
+}
+
+// Optional ✨ button inside the focused field, switched on in the popup
+let fieldButtonEnabled = false;
+let fieldButtonTarget = null;
+
+chrome.storage.local.get('showFieldButton').then(({ showFieldButton }) => {
+  fieldButtonEnabled = Boolean(showFieldButton);
+});
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.showFieldButton) {
+    fieldButtonEnabled = Boolean(changes.showFieldButton.newValue);
+    if (!fieldButtonEnabled) hideFieldButton();
+  }
+});
+
+function isFieldButtonCandidate(element) {
+  if (!element) return false;
+  if (element.tagName === 'TEXTAREA' || element.isContentEditable) return true;
+  return element.tagName === 'INPUT' && FIELD_BUTTON_INPUT_TYPES.includes(element.getAttribute('type')?.toLowerCase() || '') &&
+    !element.readOnly && !element.disabled;
+}
+
+function showFieldButton(element) {
+  hideFieldButton();
+  const rect = element.getBoundingClientRect();
+  if (rect.width < FIELD_BUTTON_SIZE * 3 || rect.height < FIELD_BUTTON_SIZE - 4) return;
+
+  const button = document.createElement('button');
+  button.id = FIELD_BUTTON_ID;
+  button.type = 'button';
+  button.title = 'AI Form Filler: suggest for this field';
+  button.textContent = '✨';
+  button.style.cssText = `
+    all: initial;
+    position: fixed;
+    z-index: 2147483646;
+    top: ${rect.top + Math.max(2, (Math.min(rect.height, 40) - FIELD_BUTTON_SIZE) / 2)}px;
+    left: ${rect.right - FIELD_BUTTON_SIZE - 4}px;
+    width: ${FIELD_BUTTON_SIZE}px;
+    height: ${FIELD_BUTTON_SIZE}px;
+    line-height: ${FIELD_BUTTON_SIZE}px;
+    text-align: center;
+    font-size: 13px;
+    border-radius: 50%;
+    background: #fff;
+    box-shadow: 0 1px 4px rgba(0,0,0,0.3);
+    cursor: pointer;
+  `;
+  // Keep focus in the field so the button doesn't hide itself on mousedown
+  button.addEventListener('mousedown', event => event.preventDefault());
+  button.addEventListener('click', () => {
+    hideFieldButton();
+    suggestForField(element);
+  });
+
+  fieldButtonTarget = element;
+  document.documentElement.appendChild(button);
+}
+
+function hideFieldButton() {
+  document.getElementById(FIELD_BUTTON_ID)?.remove();
+  fieldButtonTarget = null;
+}
+
+document.addEventListener('focusin', event => {
+  if (!fieldButtonEnabled) return;
+  const element = resolveFieldElement(event.composedPath()[0] || event.target);
+  if (isFieldButtonCandidate(element)) {
+    showFieldButton(element);
+  }
+}, true);
+
+document.addEventListener('focusout', event => {
+  if (fieldButtonTarget && event.composedPath().includes(fieldButtonTarget)) {
+    hideFieldButton();
+  }
+}, true);
+
+// The button is positioned once; hide it rather than let it drift from the field
+window.addEventListener('scroll', () => hideFieldButton(), true);
+window.addEventListener('resize', () => hideFieldButton());
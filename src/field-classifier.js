@@ -0,0 +1,165 @@
+// Canonical field classification using the WHATWG autocomplete field names
+// (https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#autofill-field).
+// Every field gets one stable token such as "given-name" or "postal-code"
+// plus a confidence, so retrieval, prompting and formatting don't depend on
+// free-text titles.
+
+const AUTOCOMPLETE_TOKENS = [
+  'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name',
+  'honorific-suffix', 'nickname', 'username', 'new-password', 'current-password',
+  'one-time-code', 'organization-title', 'organization', 'street-address',
+  'address-line1', 'address-line2', 'address-line3', 'address-level4',
+  'address-level3', 'address-level2', 'address-level1', 'country', 'country-name',
+  'postal-code', 'cc-name', 'cc-given-name', 'cc-additional-name', 'cc-family-name',
+  'cc-number', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-type',
+  'transaction-currency', 'transaction-amount', 'language', 'bday', 'bday-day',
+  'bday-month', 'bday-year', 'sex', 'url', 'photo', 'tel', 'tel-country-code',
+  'tel-national', 'tel-area-code', 'tel-local', 'tel-extension', 'email', 'impp'
+];
+
+// Ordered most specific first: the first pattern that matches a piece of text
+// wins, so "company name" is organization rather than name. Every alternative
+// has to be a whole word or phrase (see wordPattern), so "cell" doesn't match
+// "excellent" nor "unit" "community"
+const SEMANTIC_PATTERNS = [
+  ['cc-number', 'card.?number|credit.?card|ccnum|cc.?number'],
+  ['cc-csc', 'cvc|cvv|csc|security.?code'],
+  ['cc-exp', 'expiry|expiration|expires|exp.?date|valid.?thru'],
+  ['cc-name', 'card.?holder|name.?on.?card'],
+  ['one-time-code', 'one.?time.?(code|password|pin)|otp|verification.?code|2fa'],
+  ['new-password', 'new.?password|confirm.?password|password.?again'],
+  ['current-password', 'password|passcode'],
+  ['username', 'user.?name|login.?id|user.?id'],
+  ['email', 'e.?mail|mail|email.?address'],
+  ['tel-extension', 'ext|extension'],
+  ['tel-country-code', 'country.?code|dial.?code|calling.?code'],
+  ['tel-area-code', 'area.?code'],
+  ['tel', 'phone|phone.?(number|no)|mobile|tel|telephone|cell|cell.?phone|τηλέφωνο'],
+  ['organization-title', 'job.?title|position|occupation|role|designation|current.?title'],
+  ['organization', 'company|employer|organi[sz]ation|business.?name|firm|institution|university|school'],
+  ['honorific-prefix', 'salutation|honorific|prefix|^title$|mr|mrs'],
+  ['honorific-suffix', 'suffix'],
+  ['given-name', 'first.?name|given.?name|fore.?name|fname|first$|όνομα$'],
+  ['additional-name', 'middle.?name|middle.?initial|additional.?name'],
+  ['family-name', 'last.?name|sur.?name|family.?name|lname|επώνυμο'],
+  ['nickname', 'nick.?name|preferred.?name'],
+  ['bday-day', 'day.?of.?birth|dob.?day|birth.?date.?day'],
+  ['bday-month', 'birth.?month|dob.?month|month.?of.?birth'],
+  ['bday-year', 'birth.?year|dob.?year|year.?of.?birth'],
+  ['bday', 'birth|birthday|birth.?date|dob|born|γέννησης'],
+  ['postal-code', 'zip|zip.?code|post.?code|postal|postal.?code|pin.?code|τ\\.?κ\\.?'],
+  ['address-line2', 'address.?(line)?.?2|apartment|apt|suite|unit|flat'],
+  ['address-line3', 'address.?(line)?.?3'],
+  ['address-line1', 'address.?(line)?.?1|street|addr.?1'],
+  ['address-level2', 'city|town|locality|πόλη'],
+  ['address-level1', 'state|province|region|county|prefecture'],
+  ['country', 'country|nation|nationality|χώρα'],
+  ['street-address', 'address|διεύθυνση'],
+  ['sex', 'gender|sex|φύλο'],
+  ['language', 'language|languages|lang|γλώσσα'],
+  ['photo', 'photo|avatar|picture|headshot'],
+  ['url', 'website|url|homepage|linkedin|github|portfolio|web'],
+  ['transaction-amount', 'amount|salary|price'],
+  ['transaction-currency', 'currency'],
+  ['name', 'full.?name|your.?name|name|ονοματεπώνυμο']
+].map(([token, source]) => [token, wordPattern(source)]);
+
+// Matches source only as whole words: letters or digits on either side
+// (Greek included, which \b doesn't know) make it fail
+function wordPattern(source) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${source})(?![\\p{L}\\p{N}])`, 'u');
+}
+
+// How much each kind of evidence counts towards a classification
+const SIGNAL_CONFIDENCE = {
+  autocomplete: 0.98,
+  input_type: 0.85,
+  name_id: 0.75,
+  label: 0.7
+};
+
+// A label is one accidental word away from the wrong type ("Describe your
+// role in the community"), so alone it stays below SEMANTIC_TYPE_THRESHOLD
+// unless two label texts agree, and only its leading words are read
+const LABEL_ONLY_CONFIDENCE = 0.5;
+const LABEL_MAX_WORDS = 5;
+
+const INPUT_TYPE_TOKENS = {
+  email: 'email',
+  tel: 'tel',
+  url: 'url',
+  password: 'current-password'
+};
+
+// Returns { token, confidence, signals } where signals lists the evidence
+// that agreed on the token; token is null when nothing matched
+function classifyField(element, fieldInfo, titleText = '') {
+  const votes = {};
+  const vote = (token, signal) => {
+    if (!token) return;
+    votes[token] = votes[token] || [];
+    votes[token].push(signal);
+  };
+
+  // 1. The autocomplete attribute is an explicit declaration by the site
+  vote(parseAutocompleteToken(element?.getAttribute?.('autocomplete')), 'autocomplete');
+
+  // 2. Input type
+  vote(INPUT_TYPE_TOKENS[(element?.type || fieldInfo?.type || '').toLowerCase()], 'input_type');
+
+  // 3. name / id attributes
+  const identifiers = [element?.name || fieldInfo?.name, element?.id || fieldInfo?.id]
+    .filter(Boolean)
+    .map(normalizeClassifierText);
+  identifiers.forEach(text => vote(matchSemanticPattern(text), 'name_id'));
+
+  // 4. Label and title text; each distinct text is one vote
+  const labels = [titleText, fieldInfo?.contextualInfo?.label, fieldInfo?.contextualInfo?.ariaLabel, fieldInfo?.placeholder]
+    .filter(Boolean)
+    .map(text => normalizeClassifierText(text).split(' ').slice(0, LABEL_MAX_WORDS).join(' '));
+  const labelVotes = {};
+  new Set(labels).forEach(text => {
+    const token = matchSemanticPattern(text);
+    if (!token) return;
+    vote(token, 'label');
+    labelVotes[token] = (labelVotes[token] || 0) + 1;
+  });
+
+  // Combine independent signals: confidence = 1 - Π(1 - c)
+  let best = { token: null, confidence: 0, signals: [] };
+  for (const [token, signals] of Object.entries(votes)) {
+    const unique = [...new Set(signals)];
+    const confidence = unique.length === 1 && unique[0] === 'label' && labelVotes[token] < 2
+      ? LABEL_ONLY_CONFIDENCE
+      : 1 - unique.reduce((product, signal) => product * (1 - SIGNAL_CONFIDENCE[signal]), 1);
+    if (confidence > best.confidence) {
+      best = { token, confidence: Math.round(confidence * 100) / 100, signals: unique };
+    }
+  }
+
+  return best;
+}
+
+// autocomplete="section-x shipping tel-national" → "tel-national"
+function parseAutocompleteToken(value) {
+  if (!value) return null;
+  const tokens = value.toLowerCase().trim().split(/\s+/).filter(token => token !== 'webauthn');
+  const fieldName = tokens[tokens.length - 1];
+  return AUTOCOMPLETE_TOKENS.includes(fieldName) ? fieldName : null;
+}
+
+function matchSemanticPattern(text) {
+  if (!text) return null;
+  const match = SEMANTIC_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+// "billingPostalCode" / "billing_postal-code" → "billing postal code"
+function normalizeClassifierText(text) {
+  return String(text)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_\-\[\]]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .trim();
+}
@@ -0,0 +1,142 @@
+// HTML constraint validation for suggested values. Mirrors the checks the
+// browser runs on submit (pattern, min/max, minlength/maxlength, step and
+// accept) so a value can be rejected before it is written into the page.
+
+const NUMERIC_INPUT_TYPES = ['number', 'range'];
+// These compare correctly as strings in their HTML value format
+const TEMPORAL_INPUT_TYPES = ['date', 'time', 'month', 'week', 'datetime-local'];
+
+// Extension → MIME type, for checking accept="image/*" style filters against a file name
+const EXTENSION_MIME_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  odt: 'application/vnd.oasis.opendocument.text',
+  rtf: 'application/rtf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+// Returns the constraints declared on an element, or null when it has none
+function getFieldConstraints(element) {
+  const constraints = {};
+  const attribute = name => element.getAttribute?.(name);
+
+  if (attribute('pattern')) constraints.pattern = attribute('pattern');
+  if (attribute('minlength')) constraints.minLength = Number(attribute('minlength'));
+  if (attribute('maxlength')) constraints.maxLength = Number(attribute('maxlength'));
+  if (attribute('accept')) constraints.accept = attribute('accept');
+
+  // min/max/step stay strings: for dates and times they aren't numbers
+  ['min', 'max', 'step'].forEach(name => {
+    if (attribute(name)) constraints[name] = attribute(name);
+  });
+
+  return Object.keys(constraints).length > 0 ? constraints : null;
+}
+
+// Returns a list of human-readable violations; an empty list means the value is valid
+function validateFieldValue(value, fieldInfo) {
+  const violations = [];
+  const isEmpty = value === null || value === undefined || String(value).trim() === '';
+
+  if (isEmpty) {
+    if (fieldInfo.required) violations.push('a value is required');
+    return violations;
+  }
+
+  // Choice fields are constrained by their options, not by attributes
+  const constraints = fieldInfo.constraints;
+  if (!constraints || fieldInfo.group || typeof value === 'boolean') {
+    return violations;
+  }
+
+  const text = String(value);
+  const type = (fieldInfo.type || '').toLowerCase();
+
+  if (constraints.minLength > 0 && text.length < constraints.minLength) {
+    violations.push(`must be at least ${constraints.minLength} characters long`);
+  }
+  if (constraints.maxLength >= 0 && text.length > constraints.maxLength) {
+    violations.push(`must be at most ${constraints.maxLength} characters long`);
+  }
+
+  if (constraints.pattern) {
+    const pattern = compileConstraintPattern(constraints.pattern);
+    if (pattern && !pattern.test(text)) {
+      violations.push(`must match the pattern ${constraints.pattern}`);
+    }
+  }
+
+  if (NUMERIC_INPUT_TYPES.includes(type)) {
+    violations.push(...validateNumericValue(text, constraints));
+  } else if (TEMPORAL_INPUT_TYPES.includes(type)) {
+    if (constraints.min && text < constraints.min) violations.push(`must not be earlier than ${constraints.min}`);
+    if (constraints.max && text > constraints.max) violations.push(`must not be later than ${constraints.max}`);
+  }
+
+  if (type === 'file' && constraints.accept && !matchesAcceptFilter(text, constraints.accept)) {
+    violations.push(`must be a file of type ${constraints.accept}`);
+  }
+
+  return violations;
+}
+
+function validateNumericValue(text, constraints) {
+  const number = Number(text.trim());
+  if (text.trim() === '' || Number.isNaN(number)) {
+    return ['must be a number'];
+  }
+
+  const violations = [];
+  const min = constraints.min !== undefined ? Number(constraints.min) : null;
+  const max = constraints.max !== undefined ? Number(constraints.max) : null;
+
+  if (min !== null && number < min) violations.push(`must be at least ${constraints.min}`);
+  if (max !== null && number > max) violations.push(`must be at most ${constraints.max}`);
+
+  // The step is counted from min (or 0); allow for floating point error
+  const step = constraints.step && constraints.step !== 'any' ? Number(constraints.step) : null;
+  if (step > 0) {
+    const steps = (number - (min ?? 0)) / step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-7) {
+      violations.push(`must be a multiple of ${constraints.step}${min !== null ? ` counted from ${constraints.min}` : ''}`);
+    }
+  }
+
+  return violations;
+}
+
+// The pattern attribute matches the whole value and is compiled with the v flag;
+// fall back to u for engines without v, and ignore patterns that don't compile
+function compileConstraintPattern(pattern) {
+  for (const flags of ['v', 'u']) {
+    try {
+      return new RegExp(`^(?:${pattern})$`, flags);
+    } catch (error) {
+      // try the next flag set
+    }
+  }
+  console.warn('⚠️ Ignoring invalid pattern attribute:', pattern);
+  return null;
+}
+
+// accept=".pdf,image/*" → does "photo.png" qualify?
+function matchesAcceptFilter(fileName, accept) {
+  const extension = fileName.toLowerCase().split('.').pop();
+  const mimeType = EXTENSION_MIME_TYPES[extension] || '';
+
+  return accept.split(',').map(token => token.trim().toLowerCase()).filter(Boolean).some(token => {
+    if (token.startsWith('.')) return token === `.${extension}`;
+    if (token.endsWith('/*')) return mimeType.startsWith(token.slice(0, -1));
+    return token === mimeType;
+  });
+}
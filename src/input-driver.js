@@ -0,0 +1,136 @@
+// Input driver for framework-controlled fields. React, Angular and Vue keep
+// their own copy of an input's value; assigning element.value directly skips
+// React's value tracker, so the framework restores its old value on the next
+// render. Writing through the native prototype setter and then dispatching
+// real input events makes the framework pick the change up like user input.
+
+const INPUT_RERENDER_DELAY = 100; // ms for the framework to re-render before checking
+
+// Attributes and placeholders used by mask libraries (Inputmask, Cleave, IMask, Alpine x-mask)
+const MASK_ATTRIBUTES = ['data-mask', 'data-inputmask', 'data-inputmask-mask', 'data-imask', 'x-mask', 'mask'];
+const MASK_PLACEHOLDER_PATTERN = /[_#]{2,}|\(\s*_+\s*\)|\b(?:dd|mm|yyyy|yy|hh)\b[\/.\-: ](?:dd|mm|yyyy|yy)\b/i;
+// Browser-rendered pickers ignore key events; their value can only be set
+const UNTYPEABLE_INPUT_TYPES = ['date', 'time', 'month', 'week', 'datetime-local', 'color', 'range'];
+
+// The setter comes from the element's own window: a field inside a
+// same-origin iframe isn't an instance of the top frame's constructors, and
+// their setters throw "Illegal invocation" on it
+function getNativeSetter(element, property) {
+  const view = element.ownerDocument?.defaultView || window;
+  const prototype = element instanceof view.HTMLTextAreaElement ? view.HTMLTextAreaElement.prototype
+    : element instanceof view.HTMLSelectElement ? view.HTMLSelectElement.prototype
+    : element instanceof view.HTMLInputElement ? view.HTMLInputElement.prototype
+    : null;
+  return prototype ? Object.getOwnPropertyDescriptor(prototype, property)?.set : undefined;
+}
+
+// Sets value through the prototype setter so React's tracker sees the old value
+// and reports the change; falls back to a plain assignment elsewhere
+function setNativeValue(element, value) {
+  const setter = getNativeSetter(element, 'value');
+  if (setter) {
+    setter.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+function setNativeChecked(element, checked) {
+  const setter = getNativeSetter(element, 'checked');
+  if (setter) {
+    setter.call(element, checked);
+  } else {
+    element.checked = checked;
+  }
+}
+
+// Masked inputs reformat on every keystroke and drop values pasted in one go
+function isMaskedInput(element) {
+  if (MASK_ATTRIBUTES.some(name => element.hasAttribute(name))) return true;
+  if (/\bmask/i.test(element.className || '')) return true;
+  return MASK_PLACEHOLDER_PATTERN.test(element.getAttribute('placeholder') || '');
+}
+
+function dispatchInputEvent(element, type, inputType, data = null) {
+  const event = new InputEvent(type, { inputType, data, bubbles: true, cancelable: type === 'beforeinput', composed: true });
+  return element.dispatchEvent(event);
+}
+
+function dispatchKeyEvent(element, type, key) {
+  const options = { key, bubbles: true, cancelable: true, composed: true };
+  if (key.length === 1) {
+    options.code = /\d/.test(key) ? `Digit${key}` : /[a-z]/i.test(key) ? `Key${key.toUpperCase()}` : '';
+    options.charCode = type === 'keypress' ? key.charCodeAt(0) : 0;
+  }
+  return element.dispatchEvent(new KeyboardEvent(type, options));
+}
+
+// Replaces the whole value in one step, the way a paste or autofill would
+function pasteValue(element, value) {
+  dispatchInputEvent(element, 'beforeinput', 'insertReplacementText', value);
+  setNativeValue(element, value);
+  dispatchInputEvent(element, 'input', 'insertReplacementText', value);
+}
+
+// Clears the field, then types one character at a time with the full
+// keydown/keypress/beforeinput/input/keyup sequence. A cancelled keydown or
+// beforeinput means the page handled the key itself, so the character is skipped
+async function typeValue(element, value, delay = 10) {
+  setNativeValue(element, '');
+  dispatchInputEvent(element, 'input', 'deleteContentBackward');
+
+  for (const character of String(value)) {
+    if (!dispatchKeyEvent(element, 'keydown', character)) continue;
+    dispatchKeyEvent(element, 'keypress', character);
+
+    if (dispatchInputEvent(element, 'beforeinput', 'insertText', character)) {
+      // Masks may have rewritten the value on the previous keystroke; append to what's there now
+      setNativeValue(element, element.value + character);
+      dispatchInputEvent(element, 'input', 'insertText', character);
+    }
+
+    dispatchKeyEvent(element, 'keyup', character);
+    if (delay > 0) await sleep(delay);
+  }
+}
+
+// Masks add separators, so compare letters and digits only for masked inputs.
+// Single-line inputs drop line breaks and textareas normalise them to \n
+function inputValueMatches(element, expectedValue, masked) {
+  const lineBreak = element.tagName === 'TEXTAREA' ? '\n' : '';
+  const normalize = text => masked
+    ? String(text ?? '').replace(/[^\p{L}\p{N}]+/gu, '').toLowerCase()
+    : String(text ?? '').replace(/\r\n?|\n/g, lineBreak);
+  return normalize(element.value) === normalize(expectedValue);
+}
+
+// Writes the value, commits it with change/blur, waits for a re-render and
+// verifies it is still there. Pasting is tried first for plain inputs; typing
+// is used for masked inputs or when the pasted value doesn't survive.
+// options.typing forces per-character typing.
+async function driveInputValue(element, value, options = {}) {
+  const text = String(value ?? '');
+  const masked = isMaskedInput(element);
+  const strategies = UNTYPEABLE_INPUT_TYPES.includes(element.type) ? ['paste']
+    : options.typing || masked ? ['type']
+    : ['paste', 'type'];
+
+  for (const strategy of strategies) {
+    element.focus();
+    if (strategy === 'paste') {
+      pasteValue(element, text);
+    } else {
+      await typeValue(element, text);
+    }
+    triggerEvent(element, 'change');
+    triggerEvent(element, 'blur');
+
+    await sleep(INPUT_RERENDER_DELAY);
+    if (inputValueMatches(element, text, masked)) {
+      return strategy;
+    }
+    console.warn(`⚠️ Value did not stick after ${strategy === 'paste' ? 'pasting' : 'typing'} (found "${element.value}")`);
+  }
+
+  throw new Error(`Input value did not stick (expected "${text}", found "${element.value}")`);
+}
@@ -0,0 +1,239 @@
+// Matches a suggested value to one of a choice field's options (select,
+// datalist, radio/checkbox groups and ARIA widgets). Strategies run from
+// strict to loose: exact value or label, normalised text, synonyms and
+// abbreviations ("Greece" → "GR", "Master's" → "MSc"), whole-word containment
+// and finally edit-distance similarity. Each match reports a confidence so a
+// sure pick can be told apart from a guess; no match returns index -1.
+
+const OPTION_MATCH_CONFIDENCE = {
+  exact: 1,
+  normalized: 0.95,
+  synonym: 0.9,
+  abbreviation: 0.85,
+  contains: 0.75
+};
+const FUZZY_MATCH_THRESHOLD = 0.75; // minimum similarity for a fuzzy match
+const NO_OPTION_MATCH = { index: -1, confidence: 0, method: 'none' };
+
+// Interchangeable answers, written in normalised form (see normalizeOptionText)
+// Country names and degrees carry no short codes here; see LIST_CODE_SYNONYMS
+const OPTION_SYNONYMS = [
+  ['yes', 'y', 'true', 'agree', 'i agree', 'accept'],
+  ['no', 'n', 'false', 'disagree', 'decline'],
+  ['male', 'm', 'man'],
+  ['female', 'f', 'woman'],
+  ['prefer not to say', 'prefer not to answer', 'decline to state', 'rather not say'],
+  ['high school', 'secondary school', 'high school diploma', 'lyceum', 'ged'],
+  ['bachelor', 'bachelors', 'bachelors degree', 'bachelor of science', 'bachelor of arts', 'bsc', 'beng', 'undergraduate degree'],
+  ['master', 'masters', 'masters degree', 'master of science', 'master of arts', 'msc', 'meng', 'mba', 'postgraduate degree'],
+  ['doctorate', 'phd', 'doctoral degree', 'doctor of philosophy', 'dphil'],
+  ['full time', 'fulltime', 'ft', 'permanent'],
+  ['part time', 'parttime', 'pt'],
+  ['remote', 'work from home', 'wfh', 'telecommute'],
+  ['united states', 'united states of america', 'usa', 'america'],
+  ['united kingdom', 'uk', 'great britain', 'britain'],
+  ['united arab emirates', 'uae'],
+  ['greece', 'hellas', 'hellenic republic', 'ellada'],
+  ['cyprus'],
+  ['germany', 'deutschland'],
+  ['france'],
+  ['italy', 'italia'],
+  ['spain', 'espana'],
+  ['portugal'],
+  ['netherlands', 'holland', 'the netherlands'],
+  ['belgium'],
+  ['switzerland'],
+  ['austria'],
+  ['ireland'],
+  ['sweden'],
+  ['norway'],
+  ['denmark'],
+  ['finland'],
+  ['poland'],
+  ['czech republic', 'czechia'],
+  ['romania'],
+  ['bulgaria'],
+  ['turkey', 'turkiye'],
+  ['canada'],
+  ['mexico'],
+  ['brazil', 'brasil'],
+  ['australia'],
+  ['new zealand'],
+  ['india'],
+  ['china'],
+  ['japan'],
+  ['south korea', 'korea', 'republic of korea'],
+  ['singapore'],
+  ['israel'],
+  ['south africa'],
+  ['january', 'jan', '1'],
+  ['february', 'feb', '2'],
+  ['march', 'mar', '3'],
+  ['april', 'apr', '4'],
+  ['may', '5'],
+  ['june', 'jun', '6'],
+  ['july', 'jul', '7'],
+  ['august', 'aug', '8'],
+  ['september', 'sep', 'sept', '9'],
+  ['october', 'oct', '10'],
+  ['november', 'nov', '11'],
+  ['december', 'dec', '12']
+];
+
+// Short codes that mean something else outside their own kind of list: "No"
+// is Norway, "PT" Portugal, "IT" Italy and "Ms" a Master's only among
+// countries or degrees. Each code joins its OPTION_SYNONYMS group (keyed by
+// the group's first entry) when the options are recognisably that kind of list
+const LIST_CODE_SYNONYMS = {
+  country: {
+    'united states': ['us'],
+    'united kingdom': ['gb', 'gbr'],
+    'united arab emirates': ['ae', 'are'],
+    'greece': ['gr', 'grc'],
+    'cyprus': ['cy', 'cyp'],
+    'germany': ['de', 'deu'],
+    'france': ['fr', 'fra'],
+    'italy': ['it', 'ita'],
+    'spain': ['es', 'esp'],
+    'portugal': ['pt', 'prt'],
+    'netherlands': ['nl', 'nld'],
+    'belgium': ['be', 'bel'],
+    'switzerland': ['ch', 'che'],
+    'austria': ['at', 'aut'],
+    'ireland': ['ie', 'irl'],
+    'sweden': ['se', 'swe'],
+    'norway': ['no', 'nor'],
+    'denmark': ['dk', 'dnk'],
+    'finland': ['fi', 'fin'],
+    'poland': ['pl', 'pol'],
+    'czech republic': ['cz', 'cze'],
+    'romania': ['ro', 'rou'],
+    'bulgaria': ['bg', 'bgr'],
+    'turkey': ['tr', 'tur'],
+    'canada': ['ca', 'can'],
+    'mexico': ['mx', 'mex'],
+    'brazil': ['br', 'bra'],
+    'australia': ['au', 'aus'],
+    'new zealand': ['nz', 'nzl'],
+    'india': ['in', 'ind'],
+    'china': ['cn', 'chn', 'prc'],
+    'japan': ['jp', 'jpn'],
+    'south korea': ['kr', 'kor'],
+    'singapore': ['sg', 'sgp'],
+    'israel': ['il', 'isr'],
+    'south africa': ['za', 'zaf']
+  },
+  degree: {
+    'high school': [],
+    'bachelor': ['bs', 'ba'],
+    'master': ['ms', 'ma'],
+    'doctorate': []
+  }
+};
+// Options of a kind (spelled-out names, not codes) needed to recognise the list
+const MIN_LIST_KIND_OPTIONS = 2;
+
+// "Master's Degree (MSc)" → "masters degree msc"; accents are dropped so
+// "España" matches "espana", and leading zeros so "03" matches "3"
+function normalizeOptionText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .replace(/['’]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^0+(?=\d+$)/, '');
+}
+
+// Returns { index, confidence, method } for the option that best matches the
+// value; index is -1 (method 'none') when nothing matches
+function findOptionMatch(options, value) {
+  const wanted = normalizeOptionText(value);
+  if (!wanted || !options?.length) return NO_OPTION_MATCH;
+
+  const rawWanted = String(value).trim();
+  const candidates = options.map(option => ({
+    raw: [option.value, option.text].filter(text => text !== undefined && text !== null).map(text => String(text).trim()),
+    texts: [normalizeOptionText(option.value), normalizeOptionText(option.text)].filter(Boolean)
+  }));
+  const found = (index, method) => index === -1 ? null : { index, confidence: OPTION_MATCH_CONFIDENCE[method], method };
+
+  return found(candidates.findIndex(candidate => candidate.raw.includes(rawWanted)), 'exact') ||
+    found(candidates.findIndex(candidate => candidate.texts.includes(wanted)), 'normalized') ||
+    found(findSynonymOption(candidates, wanted), 'synonym') ||
+    found(candidates.findIndex(candidate => candidate.texts.some(text => isAbbreviationOf(wanted, text) || isAbbreviationOf(text, wanted))), 'abbreviation') ||
+    found(candidates.findIndex(candidate => candidate.texts.some(text => containsWords(text, wanted) || containsWords(wanted, text))), 'contains') ||
+    findFuzzyOption(candidates, wanted) ||
+    NO_OPTION_MATCH;
+}
+
+// Index-only form used by the fill routines
+function matchOption(options, value) {
+  return findOptionMatch(options, value).index;
+}
+
+function findSynonymOption(candidates, wanted) {
+  const groups = [...OPTION_SYNONYMS, ...getListCodeSynonyms(candidates)].filter(group => group.includes(wanted));
+  if (groups.length === 0) return -1;
+  return candidates.findIndex(candidate =>
+    candidate.texts.some(text => groups.some(group => group.includes(text))));
+}
+
+// The OPTION_SYNONYMS groups with their LIST_CODE_SYNONYMS codes added, for
+// each kind of list the options form (countries, degrees)
+function getListCodeSynonyms(candidates) {
+  return Object.values(LIST_CODE_SYNONYMS).flatMap(codesByName => {
+    const groups = OPTION_SYNONYMS.filter(group => group[0] in codesByName);
+    const kindOptions = candidates.filter(candidate =>
+      candidate.texts.some(text => groups.some(group => group.includes(text)))).length;
+    if (kindOptions < MIN_LIST_KIND_OPTIONS) return [];
+    return groups.map(group => [...group, ...codesByName[group[0]]]);
+  });
+}
+
+// "uk" / "United Kingdom" by initials, "sept" / "September" by prefix
+function isAbbreviationOf(short, long) {
+  if (short.length < 2 || short.length >= long.length) return false;
+  const words = long.split(' ');
+  if (words.length > 1) {
+    return words.map(word => word[0]).join('') === short.replace(/ /g, '');
+  }
+  return short.length >= 3 && !short.includes(' ') && long.startsWith(short);
+}
+
+// Whole-word containment, so "engineering" finds "Software Engineering" but "a" finds nothing
+function containsWords(text, words) {
+  return words.length > 1 && ` ${text} `.includes(` ${words} `);
+}
+
+function findFuzzyOption(candidates, wanted) {
+  let best = null;
+  candidates.forEach((candidate, index) => {
+    candidate.texts.forEach(text => {
+      const similarity = getTextSimilarity(text, wanted);
+      if (similarity >= FUZZY_MATCH_THRESHOLD && (!best || similarity > best.similarity)) {
+        best = { index, similarity };
+      }
+    });
+  });
+  if (!best) return null;
+  return { index: best.index, confidence: Math.round(best.similarity * 0.8 * 100) / 100, method: 'fuzzy' };
+}
+
+// 1 - Levenshtein distance / length of the longer text
+function getTextSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
@@ -5,6 +5,12 @@ document.addEventListener('DOMContentLoaded', () => {
   const uploadedFiles = document.getElementById('uploadedFiles');
   const knowledgeStatus = document.getElementById('knowledgeStatus');
   const clearLibraryBtn = document.getElementById('clearLibrary');
+  const fieldList = document.getElementById('fieldList');
+  const reviewBeforeFill = document.getElementById('reviewBeforeFill');
+  const overwritePolicy = document.getElementById('overwritePolicy');
+  const showFieldButton = document.getElementById('showFieldButton');
+  const chunkOverlap = document.getElementById('chunkOverlap');
+  const stopJobBtn = document.getElementById('stopJob');
   
   // Instructions section elements
   const instructionsHeader = document.getElementById('instructionsHeader');
@@ -13,6 +19,16 @@ document.addEventListener('DOMContentLoaded', () => {
   const customInstructions = document.getElementById('customInstructions');
   const charCount = document.getElementById('charCount');
 
+  // Profile section elements
+  const profileHeader = document.getElementById('profileHeader');
+  const profileContent = document.getElementById('profileContent');
+  const profileExpandIcon = document.getElementById('profileExpandIcon');
+  const profileCount = document.getElementById('profileCount');
+  const profileEntries = document.getElementById('profileEntries');
+  const profileNewKey = document.getElementById('profileNewKey');
+  const profileNewValue = document.getElementById('profileNewValue');
+  const profileAddBtn = document.getElementById('profileAdd');
+
   // Settings elements
   const settingsBtn = document.getElementById('settingsBtn');
   const settingsModal = document.getElementById('settingsModal');
@@ -93,6 +109,64 @@ document.addEventListener('DOMContentLoaded', () => {
   // Load saved instructions on popup open
   loadSavedInstructions();
 
+  // Review mode is remembered between popup openings
+  chrome.storage.local.get(['reviewBeforeFill']).then(result => {
+    reviewBeforeFill.checked = Boolean(result.reviewBeforeFill);
+  });
+  reviewBeforeFill.addEventListener('change', () => {
+    chrome.storage.local.set({ reviewBeforeFill: reviewBeforeFill.checked });
+  });
+
+  // Content scripts pick this up through storage.onChanged
+  chrome.storage.local.get(['showFieldButton']).then(result => {
+    showFieldButton.checked = Boolean(result.showFieldButton);
+  });
+  showFieldButton.addEventListener('change', () => {
+    chrome.storage.local.set({ showFieldButton: showFieldButton.checked });
+  });
+
+  // Read by the background when a file is chunked; a cleared box goes back to the default
+  chrome.storage.local.get(['chunkOverlap']).then(result => {
+    if (result.chunkOverlap !== undefined) chunkOverlap.value = result.chunkOverlap;
+  });
+  chunkOverlap.addEventListener('change', () => {
+    const overlap = Math.round(Number(chunkOverlap.value));
+    if (chunkOverlap.value === '' || !Number.isFinite(overlap) || overlap < 0) {
+      chrome.storage.local.remove('chunkOverlap');
+      chunkOverlap.value = 150;
+      return;
+    }
+    chrome.storage.local.set({ chunkOverlap: overlap });
+  });
+
+  // The overwrite policy is kept per site, keyed by the active tab's hostname
+  async function getActiveHostname() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    try {
+      return tab?.url?.startsWith('http') ? new URL(tab.url).hostname : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async function loadOverwritePolicy() {
+    const hostname = await getActiveHostname();
+    const { overwritePolicies = {} } = await chrome.storage.local.get('overwritePolicies');
+    overwritePolicy.value = (hostname && overwritePolicies[hostname]) || 'ours';
+    overwritePolicy.disabled = !hostname;
+  }
+
+  overwritePolicy.addEventListener('change', async () => {
+    const hostname = await getActiveHostname();
+    if (!hostname) return;
+    const { overwritePolicies = {} } = await chrome.storage.local.get('overwritePolicies');
+    overwritePolicies[hostname] = overwritePolicy.value;
+    await chrome.storage.local.set({ overwritePolicies });
+    showStatus(`🛡️ ${overwritePolicy.selectedOptions[0].text} on ${hostname}`);
+  });
+
+  loadOverwritePolicy();
+
   // Settings functionality
   settingsBtn.addEventListener('click', openSettings);
   closeSettings.addEventListener('click', closeSettingsModal);
@@ -245,26 +319,47 @@ document.addEventListener('DOMContentLoaded', () => {
 
   async function processFiles(files) {
     showStatus('📤 Processing files...');
+    setStopVisible(true);
     
     let totalChunks = 0;
     let totalEmbeddings = 0;
+    let totalFacts = 0;
+    let totalProfileEntries = 0;
+    let attachmentsStored = 0;
+    let processedFiles = 0;
+    let cancelled = false;
     
     for (const file of files) {
       try {
         const result = await uploadFile(file);
         totalChunks += result.totalChunks || 0;
         totalEmbeddings += result.embeddingsCreated || 0;
+        totalFacts += result.factsCount || 0;
+        totalProfileEntries += result.profileEntries || 0;
+        if (result.attachmentOnly) attachmentsStored++;
+        // The Stop button also skips the files still waiting
+        if (result.cancelled) {
+          cancelled = true;
+          break;
+        }
+        processedFiles++;
       } catch (error) {
         console.error('Error uploading file:', error);
         showStatus(`❌ Error uploading ${file.name}: ${error.message}`, true);
       }
     }
     
+    setStopVisible(false);
     updateKnowledgeStatus();
     displayUploadedFiles();
+    displayProfile();
     
-    if (totalEmbeddings > 0) {
-      showStatus(`✅ Processed ${files.length} file(s) → ${totalEmbeddings} embeddings`);
+    if (cancelled) {
+      showStatus(`⏹️ Upload stopped: ${processedFiles}/${files.length} file(s) done, ${totalEmbeddings} embeddings kept`);
+    } else if (totalEmbeddings > 0) {
+      showStatus(`✅ Processed ${files.length} file(s) → ${totalEmbeddings} embeddings${totalFacts > 0 ? `, ${totalFacts} facts` : ''}${totalProfileEntries > 0 ? `, ${totalProfileEntries} profile details` : ''}`);
+    } else if (attachmentsStored > 0) {
+      showStatus(`📎 Stored ${attachmentsStored} file(s) for upload fields (no text extracted)`);
     } else {
       showStatus(`❌ No embeddings created`, true);
     }
@@ -276,14 +371,13 @@ document.addEventListener('DOMContentLoaded', () => {
       type: file.type,
       size: file.size,
       lastModified: file.lastModified,
-      content: null
+      content: null,
+      blob: await readFileAsBase64(file)
     };
 
-    // Read file content based on type
+    // Read file content based on type; other files are kept only for attaching to upload fields
     if (file.type.includes('text') || file.name.endsWith('.txt') || file.name.endsWith('.md') || file.name.endsWith('.json') || file.name.endsWith('.csv')) {
       fileData.content = await readTextFile(file);
-    } else {
-      throw new Error('Unsupported file type. Please use text-based files.');
     }
 
     // Send to background script for processing
@@ -299,6 +393,9 @@ document.addEventListener('DOMContentLoaded', () => {
           console.log(`   └─ Chunks: ${response.chunksProcessed}/${response.totalChunks}`);
           console.log(`   └─ Embeddings: ${response.embeddingsCreated}`);
           resolve(response);
+        } else if (response?.cancelled) {
+          console.log(`⏹️ ${response.message}`);
+          resolve(response);
         } else {
           reject(new Error(response?.error || 'Upload failed'));
         }
@@ -315,16 +412,27 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Original bytes as base64, without the data URL prefix
+  async function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result.split(',')[1] || '');
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsDataURL(file);
+    });
+  }
+
   async function updateKnowledgeStatus() {
     try {
-      const result = await chrome.storage.local.get(['uploadedFiles', 'knowledgeBase']);
+      const result = await chrome.storage.local.get(['uploadedFiles', 'knowledgeBase', 'knowledgeFacts']);
       const files = result.uploadedFiles || [];
       const embeddings = result.knowledgeBase || [];
+      const facts = result.knowledgeFacts || [];
       
       if (files.length > 0) {
         knowledgeStatus.innerHTML = `
           <div class="stats-info">
-            📚 <strong>${files.length}</strong> files • <strong>${embeddings.length}</strong> chunks
+            📚 <strong>${files.length}</strong> files • <strong>${embeddings.length}</strong> chunks${facts.length > 0 ? ` • <strong>${facts.length}</strong> facts` : ''}
           </div>
         `;
       } else {
@@ -348,7 +456,8 @@ document.addEventListener('DOMContentLoaded', () => {
       // Show confirmation dialog
       const confirmed = confirm(
         '🗑️ Clear Knowledge Library\n\n' +
-        'This will permanently delete all uploaded files and their embeddings.\n\n' +
+        'This will permanently delete all uploaded files and their embeddings, ' +
+        'and the profile details read from them (details you edited are kept).\n\n' +
         'Are you sure you want to continue?'
       );
       
@@ -358,12 +467,16 @@ document.addEventListener('DOMContentLoaded', () => {
       
       showStatus('🧹 Clearing knowledge library...');
       
-      // Clear both uploaded files and knowledge base
-      await chrome.storage.local.remove(['uploadedFiles', 'knowledgeBase']);
+      // Clear uploaded files, knowledge base and facts, and the stored originals
+      const { knowledgeProfile = [] } = await chrome.storage.local.get('knowledgeProfile');
+      await chrome.storage.local.remove(['uploadedFiles', 'knowledgeBase', 'knowledgeFacts']);
+      await chrome.storage.local.set({ knowledgeProfile: knowledgeProfile.filter(entry => entry.edited) });
+      await chrome.runtime.sendMessage({ action: 'clearLibraryFiles' });
       
       // Update UI
       displayUploadedFiles();
       updateKnowledgeStatus();
+      displayProfile();
       
       showStatus('✅ Knowledge library cleared successfully');
       
@@ -384,7 +497,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const fileItem = document.createElement('div');
         fileItem.className = 'file-item';
         fileItem.innerHTML = `
-          <span class="file-name" title="${file.name}">${file.name}</span>
+          <span class="file-name" title="${file.name}${file.pagesCount ? ` (${file.pagesCount} pages)` : ''}">${file.name}</span>
           <button class="delete-file" data-index="${index}">×</button>
         `;
         uploadedFiles.appendChild(fileItem);
@@ -404,24 +517,31 @@ document.addEventListener('DOMContentLoaded', () => {
 
   async function deleteFile(index) {
     try {
-      const result = await chrome.storage.local.get(['uploadedFiles', 'knowledgeBase']);
+      const result = await chrome.storage.local.get(['uploadedFiles', 'knowledgeBase', 'knowledgeFacts', 'knowledgeProfile']);
       const files = result.uploadedFiles || [];
       const knowledgeBase = result.knowledgeBase || [];
+      const knowledgeFacts = result.knowledgeFacts || [];
+      const knowledgeProfile = result.knowledgeProfile || [];
       
       if (index >= 0 && index < files.length) {
         const deletedFile = files[index];
         files.splice(index, 1);
         
-        // Remove embeddings for this file
+        // Remove embeddings, facts and profile details read from this file;
+        // details the user edited are theirs and stay
         const updatedKnowledgeBase = knowledgeBase.filter(item => item.fileName !== deletedFile.name);
         
         await chrome.storage.local.set({
           uploadedFiles: files,
-          knowledgeBase: updatedKnowledgeBase
+          knowledgeBase: updatedKnowledgeBase,
+          knowledgeFacts: knowledgeFacts.filter(fact => fact.fileName !== deletedFile.name),
+          knowledgeProfile: knowledgeProfile.filter(entry => entry.edited || entry.source?.fileName !== deletedFile.name)
         });
+        await chrome.runtime.sendMessage({ action: 'deleteLibraryFile', name: deletedFile.name });
         
         displayUploadedFiles();
         updateKnowledgeStatus();
+        displayProfile();
         showStatus(`🗑️ Deleted ${deletedFile.name}`);
       }
     } catch (error) {
@@ -433,6 +553,146 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initialize display
   displayUploadedFiles();
 
+  // Profile: details read from uploaded documents (see services/profile-service.js),
+  // grouped by section. Editing a value marks it as the user's own, so
+  // re-uploads and file deletion leave it alone
+  const PROFILE_GROUPS = {
+    identity: 'Identity',
+    contact: 'Contact',
+    addresses: 'Addresses',
+    employment: 'Employment',
+    education: 'Education',
+    languages: 'Languages',
+    skills: 'Skills'
+  };
+
+  profileHeader.addEventListener('click', () => {
+    profileContent.classList.toggle('expanded');
+    profileExpandIcon.classList.toggle('expanded');
+  });
+
+  async function displayProfile() {
+    try {
+      const { knowledgeProfile = [], knowledgeBase = [] } = await chrome.storage.local.get(['knowledgeProfile', 'knowledgeBase']);
+      profileCount.textContent = knowledgeProfile.length > 0 ? `(${knowledgeProfile.length})` : '';
+      profileEntries.innerHTML = knowledgeProfile.length > 0
+        ? ''
+        : '<div class="profile-source" style="margin-left: 0;">Upload a CV or other document to fill in your profile</div>';
+
+      // Sorted by section, then by list item, keeping each item's fields together
+      const rows = knowledgeProfile
+        .map((entry, index) => ({ entry, index, path: parseProfileKey(entry.key) }))
+        .sort((a, b) => a.path.order - b.path.order || a.path.item - b.path.item || a.index - b.index);
+
+      let group = null;
+      rows.forEach(({ entry, path }) => {
+        if (path.group !== group) {
+          group = path.group;
+          const heading = document.createElement('div');
+          heading.className = 'profile-group';
+          heading.textContent = PROFILE_GROUPS[group] || group;
+          profileEntries.appendChild(heading);
+        }
+
+        const row = document.createElement('div');
+        row.className = 'profile-entry';
+        const label = document.createElement('span');
+        label.className = 'profile-label';
+        label.textContent = path.label;
+        label.title = entry.key;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = entry.value;
+        const remove = document.createElement('button');
+        remove.className = 'delete-file';
+        remove.textContent = '×';
+        remove.title = 'Remove from profile';
+        row.append(label, input, remove);
+
+        // Provenance: the document, page and section the value was read from,
+        // with the chunk's text on hover
+        const source = document.createElement('div');
+        source.className = 'profile-source';
+        const origin = entry.source
+          ? [`📄 ${entry.source.fileName}${entry.source.page ? ` p.${entry.source.page}` : ''}`, entry.source.section?.join(' › ')].filter(Boolean).join(' · ')
+          : '';
+        source.textContent = [origin, entry.edited ? '✏️ edited' : ''].filter(Boolean).join(' · ');
+        source.title = knowledgeBase.find(chunk => chunk.chunkId === entry.source?.chunkId)?.content || '';
+
+        input.addEventListener('change', () => updateProfileEntry(entry, input.value.trim()));
+        remove.addEventListener('click', () => updateProfileEntry(entry, ''));
+        profileEntries.append(row, source);
+      });
+    } catch (error) {
+      console.error('Error displaying profile:', error);
+    }
+  }
+
+  // "employment[1].jobTitle" → { group: 'employment', item: 1, label: '2 · Job title' }
+  function parseProfileKey(key) {
+    const [, group, item, name] = key.match(/^(\w+)(?:\[(\d+)\])?\.?(.*)$/) || [null, key, null, ''];
+    const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    const title = words ? words[0].toUpperCase() + words.slice(1) : '';
+    const number = item !== null && item !== undefined ? Number(item) + 1 : null;
+    const groups = Object.keys(PROFILE_GROUPS);
+    return {
+      group,
+      order: groups.includes(group) ? groups.indexOf(group) : groups.length,
+      item: number ?? 0,
+      label: [number, title].filter(Boolean).join(' · ') || PROFILE_GROUPS[group] || group
+    };
+  }
+
+  // An empty value removes the entry; anything else becomes the user's own.
+  // The entry is looked up by key and value as shown, since an upload or
+  // delete since the list was drawn may have moved it
+  async function updateProfileEntry(shown, value) {
+    try {
+      const { knowledgeProfile = [] } = await chrome.storage.local.get('knowledgeProfile');
+      const index = knowledgeProfile.findIndex(entry => entry.key === shown.key && entry.value === shown.value);
+      if (index === -1) {
+        showStatus('⚠️ That profile detail has changed, please try again', true);
+        displayProfile();
+        return;
+      }
+      if (value) {
+        knowledgeProfile[index] = { ...knowledgeProfile[index], value, edited: true };
+      } else {
+        knowledgeProfile.splice(index, 1);
+      }
+      await chrome.storage.local.set({ knowledgeProfile });
+      displayProfile();
+    } catch (error) {
+      console.error('Error updating profile:', error);
+      showStatus('❌ Error updating profile', true);
+    }
+  }
+
+  profileAddBtn.addEventListener('click', async () => {
+    const value = profileNewValue.value.trim();
+    if (!value) return;
+    try {
+      const { knowledgeProfile = [] } = await chrome.storage.local.get('knowledgeProfile');
+      // List values ("skills[]") go after the last item of their list
+      let key = profileNewKey.value;
+      const list = key.match(/^(\w+)\[\]/)?.[1];
+      if (list) {
+        const last = Math.max(-1, ...knowledgeProfile.map(entry => Number(entry.key.match(new RegExp(`^${list}\\[(\\d+)\\]`))?.[1] ?? -1)));
+        key = key.replace('[]', `[${last + 1}]`);
+      }
+      knowledgeProfile.push({ key, value, source: null, edited: true });
+      await chrome.storage.local.set({ knowledgeProfile });
+      profileNewValue.value = '';
+      displayProfile();
+      showStatus('👤 Added to profile');
+    } catch (error) {
+      console.error('Error adding to profile:', error);
+      showStatus('❌ Error updating profile', true);
+    }
+  });
+
+  displayProfile();
+
   // Helper function to inject content script if needed
   async function ensureContentScriptLoaded(tabId) {
     try {
@@ -442,12 +702,135 @@ document.addEventListener('DOMContentLoaded', () => {
       // If content script isn't loaded, inject it
       console.log('Content script not found, injecting...');
       await chrome.scripting.executeScript({
-        target: { tabId },
-        files: ['content.js']
+        target: { tabId, allFrames: true },
+        files: chrome.runtime.getManifest().content_scripts[0].js
       });
     }
   }
 
+  // Show the analysed fields grouped by the frame they were found in
+  function displayAnalyzedFields(fields) {
+    fieldList.innerHTML = '';
+
+    const fieldsByFrame = {};
+    Object.values(fields || {}).forEach(field => {
+      const frameId = field.frameId ?? 0;
+      if (!fieldsByFrame[frameId]) {
+        fieldsByFrame[frameId] = { url: field.frameUrl, fields: [] };
+      }
+      fieldsByFrame[frameId].fields.push(field);
+    });
+
+    Object.entries(fieldsByFrame).forEach(([frameId, frame]) => {
+      const group = document.createElement('div');
+      group.className = 'frame-group';
+
+      const header = document.createElement('div');
+      header.className = 'frame-header';
+      header.textContent = Number(frameId) === 0
+        ? `🖥️ Main page (${frame.fields.length})`
+        : `🧩 Frame: ${getFrameLabel(frame.url)} (${frame.fields.length})`;
+      header.title = frame.url || '';
+      group.appendChild(header);
+
+      frame.fields.forEach(field => {
+        const item = document.createElement('div');
+        item.className = 'field-item';
+        item.textContent = `${field.title?.text || field.name || field.id} · ${field.type}`;
+        group.appendChild(item);
+      });
+
+      fieldList.appendChild(group);
+    });
+  }
+
+  // Fill report groups, problems first
+  const REPORT_GROUPS = [
+    { status: 'error', label: '❌ Failed' },
+    { status: 'invalid', label: '❗ Still invalid' },
+    { status: 'unsatisfied', label: '⛔ Left empty' },
+    { status: 'conflict', label: '⚠️ Kept existing value' },
+    { status: 'filled', label: '✅ Filled' },
+    { status: 'kept', label: '⏭️ Already filled' },
+    { status: 'rejected', label: '🚫 Rejected in review' },
+    { status: 'cancelled', label: '⏹️ Stopped before filling' }
+  ];
+  const SOURCE_LABELS = {
+    profile: '👤',
+    knowledge_base: '📚',
+    gemini_ai: '🤖',
+    fallback: '🔧',
+    user: '✏️'
+  };
+
+  function describeReportEntry(field) {
+    switch (field.status) {
+      case 'filled': {
+        const confidence = field.confidence !== null ? ` ${Math.round(field.confidence * 100)}%` : '';
+        const fileName = ['profile', 'knowledge_base'].includes(field.source) && field.fileName ? ` · ${field.fileName}` : '';
+        return `${field.value} (${SOURCE_LABELS[field.source] || field.source}${confidence}${fileName})`;
+      }
+      case 'conflict':
+        return `has "${field.current}", library says "${field.value}"`;
+      case 'kept':
+        return String(field.current);
+      default:
+        return field.error || '';
+    }
+  }
+
+  // Shows what happened to every field, with an export of the whole report
+  function displayFillReport(report, pageUrl) {
+    fieldList.innerHTML = '';
+
+    REPORT_GROUPS.forEach(({ status, label }) => {
+      const fields = report.filter(field => field.status === status);
+      if (fields.length === 0) return;
+
+      const group = document.createElement('div');
+      group.className = 'frame-group';
+
+      const header = document.createElement('div');
+      header.className = 'frame-header';
+      header.textContent = `${label} (${fields.length})`;
+      group.appendChild(header);
+
+      fields.forEach(field => {
+        const item = document.createElement('div');
+        item.className = 'field-item';
+        item.textContent = `${field.title || field.fieldKey} · ${describeReportEntry(field)}`;
+        item.title = item.textContent;
+        group.appendChild(item);
+      });
+
+      fieldList.appendChild(group);
+    });
+
+    const exportButton = document.createElement('button');
+    exportButton.className = 'secondary export-report';
+    exportButton.textContent = '⬇️ Export report (JSON)';
+    exportButton.addEventListener('click', () => exportFillReport(report, pageUrl));
+    fieldList.appendChild(exportButton);
+  }
+
+  function exportFillReport(report, pageUrl) {
+    const exportedAt = new Date();
+    const json = JSON.stringify({ url: pageUrl, exportedAt: exportedAt.toISOString(), fields: report }, null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `fill-report-${getFrameLabel(pageUrl)}-${exportedAt.toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  function getFrameLabel(url) {
+    try {
+      return new URL(url).hostname || url;
+    } catch (error) {
+      return url || 'unknown';
+    }
+  }
+
   // Read page button click handler
   document.getElementById('readPage').addEventListener('click', async () => {
     try {
@@ -467,14 +850,15 @@ document.addEventListener('DOMContentLoaded', () => {
       // Make sure content script is loaded
       await ensureContentScriptLoaded(tab.id);
 
-      // Send message to content script
-      chrome.tabs.sendMessage(tab.id, { action: 'readPage' }, (response) => {
+      // Background script analyses every frame and merges the results
+      chrome.runtime.sendMessage({ action: 'analyzeTab', tabId: tab.id }, (response) => {
         if (chrome.runtime.lastError) {
           console.error('Runtime error:', chrome.runtime.lastError);
           showStatus(`❌ Error: ${chrome.runtime.lastError.message}`, true);
           return;
         }
         if (response && response.success) {
+          displayAnalyzedFields(response.fields);
           showStatus('✅ Page analyzed successfully');
         } else {
           showStatus('❌ No forms found on page', true);
@@ -487,7 +871,82 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   // Fill form button click handler
-  document.getElementById('fillForm').addEventListener('click', async () => {
+  document.getElementById('fillForm').addEventListener('click', () => fillForms(false));
+
+  // Fill only the fields the live analysis currently sees, no re-analysis needed
+  document.getElementById('fillVisible').addEventListener('click', () => fillForms(true));
+
+  // Restore what the fields held before the last fill
+  document.getElementById('undoFill').addEventListener('click', async () => {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      
+      if (!tab) {
+        showStatus('❌ No active tab found', true);
+        return;
+      }
+
+      chrome.runtime.sendMessage({ action: 'undoTab', tabId: tab.id }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.error('Runtime error:', chrome.runtime.lastError);
+          showStatus(`❌ Error: ${chrome.runtime.lastError.message}`, true);
+          return;
+        }
+        if (response && response.success) {
+          fieldList.innerHTML = '';
+          showStatus(`↩️ Last fill undone (${response.restored} element(s) restored)`);
+        } else {
+          showStatus('❌ Nothing to undo on this page', true);
+        }
+      });
+    } catch (error) {
+      console.error('Error in undoFill:', error);
+      showStatus(`❌ Error: ${error.message}`, true);
+    }
+  });
+
+  // Stop cancels the tab's running fill and any file upload; background.js
+  // keeps what was already done and the fill/upload handlers report it
+  function setStopVisible(visible) {
+    stopJobBtn.classList.toggle('active', visible);
+  }
+
+  stopJobBtn.addEventListener('click', async () => {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      showStatus('⏹️ Stopping...');
+      chrome.runtime.sendMessage({ action: 'cancelJobs', tabId: tab?.id }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.error('Runtime error:', chrome.runtime.lastError);
+          showStatus(`❌ Error: ${chrome.runtime.lastError.message}`, true);
+          return;
+        }
+        if (!response?.success) {
+          setStopVisible(false);
+          showStatus('ℹ️ Nothing is running');
+        }
+      });
+    } catch (error) {
+      console.error('Error in stopJob:', error);
+      showStatus(`❌ Error: ${error.message}`, true);
+    }
+  });
+
+  // A fill started with a shortcut, or before the popup was reopened, can still be stopped
+  async function loadActiveJobs() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    chrome.runtime.sendMessage({ action: 'getActiveJobs', tabId: tab?.id }, (response) => {
+      if (chrome.runtime.lastError) return;
+      if (response?.fill || response?.upload) {
+        setStopVisible(true);
+        showStatus(response.fill ? '⏳ A fill is running on this page' : '⏳ A file upload is running');
+      }
+    });
+  }
+
+  loadActiveJobs();
+
+  async function fillForms(visibleOnly) {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       
@@ -508,25 +967,54 @@ document.addEventListener('DOMContentLoaded', () => {
       // Get custom instructions
       const customInstructionsText = customInstructions.value.trim();
 
-      // Send message to content script with custom instructions
-      chrome.tabs.sendMessage(tab.id, { 
-        action: 'fillForm',
+      // The review panel lives in the page; the popup closes as soon as it's used
+      const review = reviewBeforeFill.checked;
+      if (review) {
+        showStatus('📋 Preparing values for review on the page...');
+      }
+
+      // Background script sends each field to the frame that owns it
+      setStopVisible(true);
+      chrome.runtime.sendMessage({ 
+        action: 'fillTab',
+        tabId: tab.id,
+        visibleOnly,
+        review,
         customInstructions: customInstructionsText
       }, (response) => {
+        setStopVisible(false);
         if (chrome.runtime.lastError) {
           console.error('Runtime error:', chrome.runtime.lastError);
           showStatus(`❌ Error: ${chrome.runtime.lastError.message}`, true);
           return;
         }
-        if (response && response.success) {
-          showStatus('✅ Forms filled successfully');
+        if (response?.cancelled) {
+          displayFillReport(response.report || [], tab.url);
+          showStatus(`⏹️ Fill stopped, ${response.filledCount || 0} field(s) filled before the cancel`);
+        } else if (response && response.success) {
+          const report = response.report || [];
+          const problemCount = report.filter(field => ['error', 'invalid', 'unsatisfied', 'conflict'].includes(field.status)).length;
+          displayFillReport(report, tab.url);
+          if (problemCount > 0) {
+            showStatus(`⚠️ Forms filled, ${problemCount} field(s) need attention`);
+          } else {
+            showStatus('✅ Forms filled successfully');
+          }
+        } else if (response?.conflicts?.length > 0) {
+          displayFillReport(response.report || [], tab.url);
+          showStatus(`⚠️ Nothing filled, ${response.conflicts.length} pre-filled field(s) differ from the library`);
+        } else if (response?.reviewed) {
+          showStatus('ℹ️ No values were accepted');
+        } else if (response?.report?.length > 0) {
+          displayFillReport(response.report, tab.url);
+          showStatus('❌ No fields could be filled', true);
         } else {
-          showStatus('❌ No saved data to fill forms', true);
+          showStatus(visibleOnly ? '❌ No visible fields to fill' : '❌ No saved data to fill forms', true);
         }
       });
     } catch (error) {
       console.error('Error in fillForm:', error);
       showStatus(`❌ Error: ${error.message}`, true);
     }
-  });
+  }
 });
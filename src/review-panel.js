@@ -0,0 +1,240 @@
+// Review mode: every proposed value is shown in a panel on the page with its
+// source and confidence before anything is written. The user accepts, edits
+// or rejects each field (or accepts everything above a confidence threshold),
+// and only accepted values are filled. Hovering a row outlines its field.
+
+const REVIEW_ACCEPT_THRESHOLD = 0.7; // rows at or above this start out accepted
+const REVIEW_PANEL_ID = 'ai-form-filler-review';
+
+const REVIEW_SOURCE_LABELS = {
+  profile: '👤 Profile',
+  knowledge_base: '📚 Library',
+  gemini_ai: '🤖 Gemini',
+  fallback: '🔧 Fallback',
+  unsatisfied: '⛔ No valid value',
+  user: '✏️ Edited'
+};
+
+// Sources whose fileName names a document worth showing
+const REVIEW_CITED_SOURCES = ['profile', 'knowledge_base'];
+
+const REVIEW_PANEL_STYLE = `
+  .panel {
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    width: 380px;
+    max-height: calc(100vh - 40px);
+    display: flex;
+    flex-direction: column;
+    background: #fff;
+    color: #222;
+    border-radius: 8px;
+    box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 13px;
+  }
+  .header { padding: 12px 14px; background: #4285f4; color: #fff; border-radius: 8px 8px 0 0; font-weight: 600; }
+  .threshold { display: flex; align-items: center; gap: 6px; padding: 8px 14px; border-bottom: 1px solid #eee; }
+  .threshold input { width: 48px; }
+  .rows { overflow-y: auto; padding: 4px 0; }
+  .row { display: grid; grid-template-columns: 20px 1fr; gap: 2px 8px; padding: 8px 14px; border-bottom: 1px solid #f2f2f2; }
+  .row:hover { background: #f5f9ff; }
+  .row input[type="checkbox"] { grid-row: span 4; margin-top: 2px; }
+  .title { font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .value { width: 100%; box-sizing: border-box; padding: 4px 6px; border: 1px solid #ccc; border-radius: 4px; font: inherit; }
+  .meta { font-size: 11px; color: #666; }
+  .high { color: #2e7d32; }
+  .medium { color: #ef6c00; }
+  .low { color: #c62828; }
+  .problem { font-size: 11px; color: #c62828; }
+  .footer { display: flex; gap: 8px; padding: 10px 14px; border-top: 1px solid #eee; }
+  button { flex: 1; padding: 7px; border: none; border-radius: 4px; cursor: pointer; font: inherit; color: #fff; background: #4CAF50; }
+  button.secondary { background: #2196F3; }
+  button.cancel { background: #9e9e9e; }
+`;
+
+// proposals: [{ fieldKey, fieldInfo, suggestion, violations }]. Resolves with
+// the accepted { fieldKey, fieldInfo, suggestion } entries (edited values
+// already checked against the field), or null when the review is cancelled.
+// Aborting signal (the popup's Stop button) closes the panel as a cancel
+function reviewSuggestions(proposals, signal = null) {
+  removeReviewPanel();
+  if (proposals.length === 0) return Promise.resolve([]);
+
+  return new Promise(resolve => {
+    const host = document.createElement('div');
+    host.id = REVIEW_PANEL_ID;
+    host.style.cssText = 'all: initial; position: fixed; z-index: 2147483647;';
+    // A shadow root keeps the page's styles off the panel
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>${REVIEW_PANEL_STYLE}</style>
+      <div class="panel">
+        <div class="header">📋 Review ${proposals.length} proposed value(s)</div>
+        <div class="threshold">
+          Accept all at or above
+          <input type="number" min="0" max="100" step="5" value="${Math.round(REVIEW_ACCEPT_THRESHOLD * 100)}">%
+          <button class="secondary" data-action="threshold">Apply</button>
+        </div>
+        <div class="rows"></div>
+        <div class="footer">
+          <button data-action="fill">✨ Fill accepted</button>
+          <button class="cancel" data-action="cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    const rows = proposals.map(proposal => createReviewRow(proposal));
+    rows.forEach(row => shadow.querySelector('.rows').appendChild(row.element));
+    const thresholdInput = shadow.querySelector('.threshold input');
+
+    const finish = result => {
+      rows.forEach(row => row.unhighlight());
+      host.remove();
+      signal?.removeEventListener('abort', onAbort);
+      resolve(result);
+    };
+    const onAbort = () => {
+      console.log('⏹️ Review closed by cancel, nothing filled');
+      finish(null);
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    shadow.querySelector('[data-action="threshold"]').addEventListener('click', () => {
+      const threshold = Number(thresholdInput.value) / 100;
+      rows.forEach(row => row.setAccepted(row.canAccept() && row.getConfidence() >= threshold));
+    });
+
+    shadow.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+      console.log('🚫 Review cancelled, nothing filled');
+      finish(null);
+    });
+
+    shadow.querySelector('[data-action="fill"]').addEventListener('click', () => {
+      const accepted = [];
+      let hasProblems = false;
+      rows.filter(row => row.isAccepted()).forEach(row => {
+        const entry = row.getAcceptedEntry();
+        if (entry) {
+          accepted.push(entry);
+        } else {
+          hasProblems = true;
+        }
+      });
+      // Edited values the field would reject stay in the panel for another try
+      if (hasProblems) return;
+
+      console.log(`✅ ${accepted.length}/${proposals.length} value(s) accepted in review`);
+      finish(accepted);
+    });
+
+    host.addEventListener('keydown', event => {
+      // Keep the page's own shortcuts from firing while typing in the panel
+      event.stopPropagation();
+      if (event.key === 'Escape') finish(null);
+    });
+
+    document.documentElement.appendChild(host);
+  });
+}
+
+function removeReviewPanel() {
+  document.getElementById(REVIEW_PANEL_ID)?.remove();
+}
+
+// One field's row: accept checkbox, title, editable value, source and confidence
+function createReviewRow({ fieldKey, fieldInfo, suggestion, violations }) {
+  const element = document.createElement('div');
+  element.className = 'row';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+
+  const title = document.createElement('div');
+  title.className = 'title';
+  title.textContent = fieldInfo.title?.text || fieldKey;
+  title.title = title.textContent;
+
+  const input = document.createElement('input');
+  input.className = 'value';
+  const hasValue = violations.length === 0 && suggestion.value !== null && suggestion.value !== undefined;
+  input.value = hasValue ? formatReviewValue(suggestion.value) : '';
+  input.placeholder = hasValue ? '' : 'Type a value to fill this field';
+  // A stored document can't be typed in; it is accepted or rejected as is
+  input.readOnly = fieldInfo.type === 'file';
+
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  const confidence = hasValue ? suggestion.confidence ?? 0 : 0;
+  const level = confidence >= REVIEW_ACCEPT_THRESHOLD ? 'high' : confidence >= 0.4 ? 'medium' : 'low';
+  meta.innerHTML = `${REVIEW_SOURCE_LABELS[suggestion.source] || suggestion.source} · <span class="${level}">${Math.round(confidence * 100)}%</span>`;
+  if (suggestion.fileName && REVIEW_CITED_SOURCES.includes(suggestion.source)) {
+    meta.append(` · ${suggestion.fileName}`);
+  }
+
+  const problem = document.createElement('div');
+  problem.className = 'problem';
+  problem.textContent = violations.join('; ');
+
+  element.append(checkbox, title, input, meta, problem);
+
+  let edited = false;
+  input.addEventListener('input', () => {
+    edited = true;
+    checkbox.checked = input.value.trim() !== '';
+    problem.textContent = '';
+  });
+
+  // Point at the field on the page while the row is hovered
+  let fieldElement = null;
+  let savedOutline = '';
+  const highlight = () => {
+    fieldElement = findFieldElement(fieldInfo);
+    if (fieldElement && fieldInfo.datePicker) {
+      fieldElement = getDatePickerGroup(fieldElement)?.container || fieldElement;
+    }
+    if (!fieldElement) return;
+    savedOutline = fieldElement.style.outline;
+    fieldElement.style.outline = '3px solid #4285f4';
+    fieldElement.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  };
+  const unhighlight = () => {
+    if (fieldElement) fieldElement.style.outline = savedOutline;
+    fieldElement = null;
+  };
+  element.addEventListener('mouseenter', highlight);
+  element.addEventListener('mouseleave', unhighlight);
+
+  const row = {
+    element,
+    unhighlight,
+    canAccept: () => edited ? input.value.trim() !== '' : hasValue,
+    getConfidence: () => edited ? 1 : confidence,
+    isAccepted: () => checkbox.checked,
+    setAccepted: accepted => { checkbox.checked = accepted; },
+    // The suggestion to fill, or null (with the problem shown) when an edited value is rejected
+    getAcceptedEntry: () => {
+      if (!edited) {
+        if (hasValue) return { fieldKey, fieldInfo, suggestion };
+        problem.textContent = violations.join('; ') || 'type a value or untick this field';
+        return null;
+      }
+
+      const editedSuggestion = { value: input.value.trim(), source: 'user', fileName: REVIEW_SOURCE_LABELS.user, confidence: 1 };
+      const editViolations = checkSuggestion(fieldInfo, editedSuggestion);
+      if (editViolations.length > 0) {
+        problem.textContent = editViolations.join('; ');
+        return null;
+      }
+      return { fieldKey, fieldInfo, suggestion: editedSuggestion };
+    }
+  };
+  row.setAccepted(row.canAccept() && confidence >= REVIEW_ACCEPT_THRESHOLD);
+  return row;
+}
+
+function formatReviewValue(value) {
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
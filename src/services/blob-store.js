@@ -0,0 +1,82 @@
+// Original bytes of knowledge library files, kept in IndexedDB so documents
+// such as a CV can be attached to file inputs. chrome.storage only holds JSON,
+// so the library metadata and text chunks stay there and the blobs live here,
+// keyed by file name like the uploadedFiles entries
+const DB_NAME = 'knowledge-library';
+const DB_VERSION = 1;
+const STORE_NAME = 'files';
+
+export class BlobStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'name' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Runs one request in its own transaction and resolves with its result once committed
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  put(name, blob, metadata = {}) {
+    return this.run('readwrite', store => store.put({ ...metadata, name, blob, storedAt: Date.now() }));
+  }
+
+  // Resolves with { name, blob, type, lastModified, storedAt } or undefined
+  get(name) {
+    return this.run('readonly', store => store.get(name));
+  }
+
+  delete(name) {
+    return this.run('readwrite', store => store.delete(name));
+  }
+
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+
+  listNames() {
+    return this.run('readonly', store => store.getAllKeys());
+  }
+
+  static base64ToBlob(base64, type = '') {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+  }
+
+  static async blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    // Convert in slices; spreading a large array into fromCharCode overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+}
@@ -8,7 +8,9 @@ export class EmbeddingService {
     this.apiKey = apiKey;
   }
 
-  async generateEmbedding(text, retryCount = 0) {
+  // signal (an AbortSignal) cancels the request; an abort is rethrown rather
+  // than reported as a failed embedding
+  async generateEmbedding(text, retryCount = 0, signal = null) {
     console.group('🧮 Generating embedding');
     try {
       // Show progress in console for debugging
@@ -33,7 +35,8 @@ export class EmbeddingService {
       const response = await fetch(`${EMBEDDING_API_URL}?key=${this.apiKey}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
+        signal
       });
 
       if (!response.ok) {
@@ -46,7 +49,7 @@ export class EmbeddingService {
           const waitTime = Math.pow(2, retryCount) * 1000; // Exponential backoff
           console.log(`⏳ Rate limited, retrying in ${waitTime}ms (attempt ${retryCount + 1}/3)`);
           await new Promise(resolve => setTimeout(resolve, waitTime));
-          return this.generateEmbedding(text, retryCount + 1);
+          return this.generateEmbedding(text, retryCount + 1, signal);
         }
         
         // Try to parse error as JSON for better debugging
@@ -76,6 +79,10 @@ export class EmbeddingService {
         throw new Error('Invalid embedding response format');
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('⏹️ Embedding request cancelled');
+        throw error;
+      }
       console.error('❌ Embedding generation failed:', error);
       return null;
     } finally {
@@ -1,15 +1,30 @@
 // File processing and knowledge base service
+import { TextChunker } from './text-chunker.js';
+
+// Characters repeated between consecutive chunks of a section unless the
+// upload asks for another overlap
+const DEFAULT_CHUNK_OVERLAP = 150;
+
 export class FileService {
   constructor(embeddingService) {
     this.embeddingService = embeddingService;
   }
 
-  async processFile(fileData) {
+  // signal stops the upload at the next chunk; the chunks embedded so far
+  // are kept and the result reports cancelled: true
+  async processFile(fileData, signal = null, { chunkOverlap = DEFAULT_CHUNK_OVERLAP } = {}) {
     console.group(`📄 Processing file: ${fileData.name}`);
     
     try {
-      // Split content into chunks for better embedding processing
-      const chunks = this.splitIntoChunks(fileData.content, 1000); // ~1000 chars per chunk
+      // JSON and CSV files become key–value facts, matched to fields directly
+      const facts = this.extractFacts(fileData);
+      if (facts.length > 0) {
+        console.log(`🗝️ Read ${facts.length} facts from "${fileData.name}"`);
+      }
+      
+      // Split content into chunks for better embedding processing. Files
+      // without extracted text are kept for attaching to upload fields only
+      const chunks = this.createChunks(fileData, facts, chunkOverlap);
       console.log(`📊 Split "${fileData.name}" into ${chunks.length} chunks`);
       
       const embeddings = [];
@@ -21,18 +36,43 @@ export class FileService {
         
         // Add small delay between requests to avoid rate limiting
         if (i > 0) {
-          await new Promise(resolve => setTimeout(resolve, 500)); // 500ms delay
+          await new Promise(resolve => {
+            const onAbort = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+            // The listener goes when the delay ends, or the signal collects one per chunk
+            const timer = setTimeout(() => {
+              signal?.removeEventListener('abort', onAbort);
+              resolve();
+            }, 500); // 500ms delay
+            signal?.addEventListener('abort', onAbort, { once: true });
+          });
         }
         
-        const embedding = await this.embeddingService.generateEmbedding(chunk);
+        if (signal?.aborted) {
+          console.log(`⏹️ Upload cancelled after ${i}/${chunks.length} chunks`);
+          break;
+        }
+        
+        let embedding;
+        try {
+          embedding = await this.embeddingService.generateEmbedding(this.getEmbeddingText(chunk), 0, signal);
+        } catch (error) {
+          if (error.name !== 'AbortError') throw error;
+          console.log(`⏹️ Upload cancelled during chunk ${i + 1}/${chunks.length}`);
+          break;
+        }
         
         if (embedding) {
           embeddings.push({
             chunkId: `${fileData.name}_chunk_${i}`,
             fileName: fileData.name,
             fileType: fileData.type,
-            content: chunk,
+            content: chunk.content,
             embedding: embedding.values || embedding, // Handle different API response formats
+            page: chunk.page,
+            section: chunk.section,
             chunkIndex: i,
             totalChunks: chunks.length,
             timestamp: Date.now()
@@ -43,8 +83,12 @@ export class FileService {
         }
       }
       
-      // Store file metadata and embeddings
-      await this.storeFileData(fileData, embeddings);
+      // Store file metadata and embeddings; a cancelled upload that embedded
+      // nothing leaves no trace in the library
+      const cancelled = Boolean(signal?.aborted);
+      if (!cancelled || embeddings.length > 0) {
+        await this.storeFileData(fileData, embeddings, facts);
+      }
       
       console.log(`✅ Successfully processed "${fileData.name}"`);
       console.log(`📊 Embedded ${successfulEmbeddings}/${chunks.length} chunks`);
@@ -55,7 +99,9 @@ export class FileService {
         fileName: fileData.name,
         chunksProcessed: successfulEmbeddings,
         totalChunks: chunks.length,
-        embeddingsCreated: embeddings.length
+        embeddingsCreated: embeddings.length,
+        factsCount: facts.length,
+        cancelled
       };
       
     } catch (error) {
@@ -66,66 +112,163 @@ export class FileService {
     }
   }
 
-  splitIntoChunks(text, maxChunkSize = 1000) {
-    const chunks = [];
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    
-    let currentChunk = '';
+  // [{ content, page, section }] of up to ~1000 chars each, split along the
+  // document's headings, paragraphs and lists. Extracted PDF text
+  // (fileData.pages) is chunked page by page so every chunk keeps the page it
+  // came from; facts are chunked as whole "key: value" lines so no record is
+  // cut in two
+  createChunks(fileData, facts = [], overlap = DEFAULT_CHUNK_OVERLAP) {
+    if (facts.length > 0) {
+      const chunks = [];
+      let current = '';
+      facts.forEach(({ key, value }) => {
+        const line = `${key}: ${value}`;
+        if (current && current.length + line.length + 1 > 1000) {
+          chunks.push({ content: current, page: null, section: [] });
+          current = '';
+        }
+        current += (current ? '\n' : '') + line;
+      });
+      if (current) chunks.push({ content: current, page: null, section: [] });
+      return chunks;
+    }
+    const chunker = new TextChunker({ maxChunkSize: 1000, overlap });
+    if (fileData.pages?.length > 0) {
+      return chunker.chunkPages(fileData.pages);
+    }
+    return fileData.content
+      ? chunker.chunk(fileData.content).map(chunk => ({ ...chunk, page: null }))
+      : [];
+  }
+
+  // What gets embedded: the chunk under its section path, so a chunk deep in
+  // "Experience › Acme" still matches questions about either
+  getEmbeddingText(chunk) {
+    return chunk.section?.length > 0
+      ? `${chunk.section.join(' › ')}\n${chunk.content}`
+      : chunk.content;
+  }
+
+  // Key–value facts of a structured file: [{ key, value }] with JSON key
+  // paths ("contact.phone", "experience[0].company") or CSV column names.
+  // Empty for other files, or when the content doesn't parse
+  extractFacts(fileData) {
+    if (!fileData.content) return [];
     
-    for (const sentence of sentences) {
-      const trimmedSentence = sentence.trim();
-      
-      if (currentChunk.length + trimmedSentence.length + 1 <= maxChunkSize) {
-        currentChunk += (currentChunk ? '. ' : '') + trimmedSentence;
+    try {
+      if (/\.json$/i.test(fileData.name) || fileData.type === 'application/json') {
+        return this.flattenJson(JSON.parse(fileData.content));
+      }
+      if (/\.csv$/i.test(fileData.name) || fileData.type === 'text/csv') {
+        return this.csvToFacts(this.parseCsv(fileData.content));
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not parse "${fileData.name}" as structured data, reading it as text:`, error.message);
+    }
+    return [];
+  }
+
+  // Lists of plain values stay one fact ("skills": "Python, SQL"); lists of
+  // records get an index per record
+  flattenJson(value, path = '', facts = []) {
+    if (Array.isArray(value)) {
+      if (value.every(item => item === null || typeof item !== 'object')) {
+        const joined = value.filter(item => item !== null && String(item).trim() !== '').join(', ');
+        if (joined && path) facts.push({ key: path, value: joined });
       } else {
-        if (currentChunk) {
-          chunks.push(currentChunk);
+        value.forEach((item, index) => this.flattenJson(item, `${path}[${index}]`, facts));
+      }
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, item]) => this.flattenJson(item, path ? `${path}.${key}` : key, facts));
+    } else if (value !== null && value !== undefined && String(value).trim() !== '' && path) {
+      facts.push({ key: path, value: String(value).trim() });
+    }
+    return facts;
+  }
+
+  // Two-column files with several rows are read as "key, value" lines (a
+  // "Field, Value" header is skipped); anything else as a table whose header
+  // names the columns, with the row number added after the first record
+  csvToFacts(rows) {
+    const [header, ...records] = rows.filter(row => row.some(cell => cell.trim() !== ''));
+    if (!header) return [];
+    
+    const labelledKeyValue = /^(key|field|name|property|attribute|label)$/i.test(header[0]?.trim()) &&
+      /^(value|answer|data|details?)$/i.test(header[1]?.trim());
+    if (header.length === 2 && (labelledKeyValue || records.length !== 1)) {
+      return (labelledKeyValue ? records : [header, ...records])
+        .filter(([key, value]) => key?.trim() && value?.trim())
+        .map(([key, value]) => ({ key: key.trim(), value: value.trim() }));
+    }
+    
+    const facts = [];
+    records.forEach((record, index) => {
+      header.forEach((column, columnIndex) => {
+        const value = record[columnIndex]?.trim();
+        if (column.trim() && value) {
+          facts.push({ key: index === 0 ? column.trim() : `${column.trim()}[${index}]`, value });
         }
-        
-        // If single sentence is too long, split by words
-        if (trimmedSentence.length > maxChunkSize) {
-          const words = trimmedSentence.split(' ');
-          let wordChunk = '';
-          
-          for (const word of words) {
-            if (wordChunk.length + word.length + 1 <= maxChunkSize) {
-              wordChunk += (wordChunk ? ' ' : '') + word;
-            } else {
-              if (wordChunk) {
-                chunks.push(wordChunk);
-              }
-              wordChunk = word;
-            }
-          }
-          
-          if (wordChunk) {
-            currentChunk = wordChunk;
-          } else {
-            currentChunk = '';
-          }
+      });
+    });
+    return facts;
+  }
+
+  // RFC 4180 rows with quoted cells; the delimiter (comma, semicolon or tab)
+  // is whichever appears most in the first line
+  parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best);
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
         } else {
-          currentChunk = trimmedSentence;
+          cell += char;
         }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
       }
     }
-    
-    if (currentChunk) {
-      chunks.push(currentChunk);
+    if (cell || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
     }
-    
-    return chunks;
+    return rows;
   }
 
-  async storeFileData(fileData, embeddings) {
+  async storeFileData(fileData, embeddings, facts = []) {
     try {
       // Get existing data
-      const result = await chrome.storage.local.get(['uploadedFiles', 'knowledgeBase']);
+      const result = await chrome.storage.local.get(['uploadedFiles', 'knowledgeBase', 'knowledgeFacts']);
       const uploadedFiles = result.uploadedFiles || [];
       const knowledgeBase = result.knowledgeBase || [];
+      const knowledgeFacts = result.knowledgeFacts || [];
       
       // Remove any existing entries for this file
       const filteredFiles = uploadedFiles.filter(f => f.name !== fileData.name);
       const filteredKnowledgeBase = knowledgeBase.filter(k => k.fileName !== fileData.name);
+      const filteredFacts = knowledgeFacts.filter(fact => fact.fileName !== fileData.name);
       
       // Add new file metadata
       filteredFiles.push({
@@ -134,19 +277,24 @@ export class FileService {
         size: fileData.size,
         lastModified: fileData.lastModified,
         uploadedAt: Date.now(),
-        chunksCount: embeddings.length
+        chunksCount: embeddings.length,
+        factsCount: facts.length,
+        pagesCount: fileData.pages?.length || 0,
+        hasBlob: Boolean(fileData.hasBlob)
       });
       
-      // Add new embeddings
+      // Add new embeddings and facts
       filteredKnowledgeBase.push(...embeddings);
+      filteredFacts.push(...facts.map(fact => ({ ...fact, fileName: fileData.name })));
       
       // Store updated data
       await chrome.storage.local.set({
         uploadedFiles: filteredFiles,
-        knowledgeBase: filteredKnowledgeBase
+        knowledgeBase: filteredKnowledgeBase,
+        knowledgeFacts: filteredFacts
       });
       
-      console.log(`💾 Stored file metadata and ${embeddings.length} embeddings`);
+      console.log(`💾 Stored file metadata, ${embeddings.length} embeddings and ${facts.length} facts`);
       
     } catch (error) {
       console.error('❌ Error storing file data:', error);
@@ -154,12 +302,12 @@ export class FileService {
     }
   }
 
-  async searchSimilarContent(query, limit = 5) {
+  async searchSimilarContent(query, limit = 5, signal = null) {
     console.group(`🔍 Searching knowledge base for: "${query.substring(0, 50)}..."`);
     
     try {
       // Generate embedding for the query
-      const queryEmbedding = await this.embeddingService.generateEmbedding(query);
+      const queryEmbedding = await this.embeddingService.generateEmbedding(query, 0, signal);
       
       if (!queryEmbedding) {
         console.warn('⚠️ Failed to generate query embedding');
@@ -199,6 +347,7 @@ export class FileService {
       return topResults;
       
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('❌ Error searching knowledge base:', error);
       return [];
     } finally {
@@ -227,18 +376,19 @@ export class FileService {
 
   async getKnowledgeStats() {
     try {
-      const result = await chrome.storage.local.get(['uploadedFiles', 'knowledgeBase']);
+      const result = await chrome.storage.local.get(['uploadedFiles', 'knowledgeBase', 'knowledgeFacts']);
       const files = result.uploadedFiles || [];
       const chunks = result.knowledgeBase || [];
       
       return {
         filesCount: files.length,
         chunksCount: chunks.length,
+        factsCount: (result.knowledgeFacts || []).length,
         totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0)
       };
     } catch (error) {
       console.error('Error getting knowledge stats:', error);
-      return { filesCount: 0, chunksCount: 0, totalSize: 0 };
+      return { filesCount: 0, chunksCount: 0, factsCount: 0, totalSize: 0 };
     }
   }
 }
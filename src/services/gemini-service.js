@@ -33,7 +33,8 @@ export class GeminiService {
     }
   }
 
-  async generateFieldSuggestion(prompt, fieldType) {
+  // signal cancels the request; an abort is rethrown instead of returning null
+  async generateFieldSuggestion(prompt, fieldType, signal = null) {
     console.group('🧠 Generating field suggestion with Gemini');
     try {
       console.log('📝 Field type:', fieldType);
@@ -50,7 +51,8 @@ export class GeminiService {
       const response = await fetch(`${GEMINI_API_URL}?key=${this.apiKey}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
+        signal
       });
 
       console.log('📥 Response status:', response.status, response.statusText);
@@ -79,6 +81,10 @@ export class GeminiService {
       return cleanSuggestion;
       
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('⏹️ Gemini request cancelled');
+        throw error;
+      }
       console.error('❌ Gemini suggestion failed:', error);
       console.error('❌ Error stack:', error.stack);
       return null;
@@ -87,6 +93,82 @@ export class GeminiService {
     }
   }
 
+  // Reads a personal profile out of numbered document passages
+  // [{ number, section, text }]. Resolves with the profile object described
+  // in buildProfilePrompt, every value as { value, passage }, or null when
+  // Gemini returns nothing usable; an abort is rethrown
+  async extractProfile(passages, signal = null) {
+    console.group('👤 Extracting profile with Gemini');
+    try {
+      console.log(`📚 ${passages.length} passage(s)`);
+      const response = await fetch(`${GEMINI_API_URL}?key=${this.apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          contents: [{
+            parts: [{ text: this.buildProfilePrompt(passages) }]
+          }],
+          generationConfig: { responseMimeType: 'application/json' }
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
+      }
+
+      const result = await response.json();
+      const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!text) {
+        console.warn('⚠️ No profile in response');
+        return null;
+      }
+
+      const profile = JSON.parse(text.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+      console.log('✅ Extracted profile:', profile);
+      return profile && typeof profile === 'object' ? profile : null;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('⏹️ Profile extraction cancelled');
+        throw error;
+      }
+      console.error('❌ Profile extraction failed:', error);
+      return null;
+    } finally {
+      console.groupEnd();
+    }
+  }
+
+  buildProfilePrompt(passages) {
+    const text = passages
+      .map(({ number, section, text }) => `[${number}]${section ? ` (${section})` : ''}\n${text}`)
+      .join('\n\n');
+    return `
+      Read the personal details of the document's author (or the person it
+      describes) from these numbered passages:
+
+      ${text}
+
+      Return a JSON object with only the details the passages state, leaving
+      out any key you can't fill. Every value is an object
+      { "value": "...", "passage": <number of the passage that states it> }:
+      {
+        "identity": { "name", "givenName", "familyName", "birthDate", "gender", "nationality" },
+        "contact": { "email", "phone", "website" },
+        "addresses": [{ "address", "street", "city", "region", "postalCode", "country" }],
+        "employment": [{ "organization", "jobTitle", "startDate", "endDate", "location" }],
+        "education": [{ "institution", "degree", "fieldOfStudy", "startDate", "endDate" }],
+        "languages": [{ "language", "level" }],
+        "skills": [ value, ... ]
+      }
+      "address" is the whole address on one line. Write dates as YYYY-MM-DD,
+      or YYYY-MM / YYYY when that is all that is known, and an ongoing job's
+      endDate as "present". List employment and education newest first.
+      Copy values as written; never guess or invent them.
+    `;
+  }
+
   validateAndCleanSuggestion(suggestion, fieldType) {
     // Remove any markdown formatting or extra text
     let cleaned = suggestion.replace(/```[^`]*```/g, '').trim();
@@ -134,13 +216,9 @@ export class GeminiService {
         if (dateMatch) {
           return dateMatch[0];
         }
-        // Try other date formats
-        const altDateMatch = cleaned.match(/\d{1,2}\/\d{1,2}\/\d{4}/);
-        if (altDateMatch) {
-          const parts = altDateMatch[0].split('/');
-          return `${parts[2]}-${parts[0].padStart(2, '0')}-${parts[1].padStart(2, '0')}`;
-        }
-        return '2025-07-26';
+        // Other formats ("03/04/1988", "3 March 1988") are converted by the
+        // content script, which knows the page's locale and expected format
+        return cleaned;
     }
     
     // General cleanup - limit length
@@ -0,0 +1,317 @@
+// Text extraction from Word (.docx) and OpenDocument (.odt) files for the
+// knowledge library. Both are zip archives of XML: the archive is read with
+// the platform's DecompressionStream and the XML with a small tokenizer, since
+// the service worker has no DOMParser. Structure is kept in the text as
+// markdown-style lines: "## Heading", "- list item" and "cell | cell" rows,
+// one paragraph per line.
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+
+// Elements whose text is not part of the document as read (deleted revisions,
+// field codes, the duplicate fallback of text boxes, comments)
+const SKIPPED_ELEMENTS = new Set(['w:delText', 'w:instrText', 'w:fldData', 'mc:Fallback', 'office:annotation', 'text:tracked-changes']);
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+export class OfficeExtractor {
+  // bytes: the file's Uint8Array. Resolves with the structured text of a
+  // .docx or .odt file; throws for other archives
+  async extractText(bytes) {
+    console.group('📝 Extracting document text');
+
+    try {
+      const archive = readZipDirectory(bytes);
+      let text;
+      if (archive.has('word/document.xml')) {
+        const styles = archive.has('word/styles.xml') ? parseXml(await readZipText(bytes, archive.get('word/styles.xml'))) : null;
+        text = convertDocx(parseXml(await readZipText(bytes, archive.get('word/document.xml'))), getDocxHeadingLevels(styles));
+      } else if (archive.has('content.xml')) {
+        text = convertOdt(parseXml(await readZipText(bytes, archive.get('content.xml'))));
+      } else {
+        throw new Error('Not a Word or OpenDocument text file');
+      }
+
+      console.log(`✅ Extracted ${text.length} characters`);
+      return text;
+    } finally {
+      console.groupEnd();
+    }
+  }
+}
+
+// Central directory of a zip archive: Map of entry name → { method, offset, compressedSize }
+function readZipDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = -1;
+  // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Not a zip archive');
+
+  const entries = new Map();
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  for (let i = 0; i < count && view.getUint32(position, true) === ZIP_DIRECTORY_ENTRY; i++) {
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+    entries.set(name, {
+      method: view.getUint16(position + 10, true),
+      compressedSize: view.getUint32(position + 20, true),
+      offset: view.getUint32(position + 42, true)
+    });
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function readZipText(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(entry.offset, true) !== ZIP_LOCAL_HEADER) throw new Error('Corrupt zip entry');
+
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return new TextDecoder().decode(data);
+  if (entry.method !== 8) throw new Error(`Unsupported zip compression method ${entry.method}`);
+
+  const inflated = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new TextDecoder().decode(await new Response(inflated).arrayBuffer());
+}
+
+// A minimal XML tree: { name, attributes, children } with text nodes as
+// strings. Comments, processing instructions and doctypes are dropped
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokens.exec(xml))) {
+    const [, cdata, closing, opening, attributeText, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      parent.children.push(cdata);
+    } else if (closing) {
+      const index = stack.map(element => element.name).lastIndexOf(closing);
+      if (index > 0) stack.length = index;
+    } else if (opening) {
+      const element = { name: opening, attributes: {}, children: [] };
+      for (const [, name, , doubleQuoted, singleQuoted] of attributeText.matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        element.attributes[name] = decodeXmlEntities(doubleQuoted ?? singleQuoted);
+      }
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (text !== undefined) {
+      parent.children.push(decodeXmlEntities(text));
+    }
+  }
+  return root;
+}
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9A-Fa-f]+|#\d+|\w+);/g, (entity, code) => {
+    if (code[0] !== '#') return XML_ENTITIES[code] ?? entity;
+    return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+  });
+}
+
+function childElements(element, name) {
+  return element.children.filter(child => typeof child === 'object' && (!name || child.name === name));
+}
+
+function findElement(element, name) {
+  for (const child of childElements(element)) {
+    if (child.name === name) return child;
+    const found = findElement(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+// styleId → heading level (1-9) for the paragraph styles that are headings,
+// by outline level or by name ("heading 2", "Title"), so localised style ids work
+function getDocxHeadingLevels(styles) {
+  const levels = new Map();
+  if (!styles) return levels;
+
+  childElements(findElement(styles, 'w:styles') || styles, 'w:style').forEach(style => {
+    const styleId = style.attributes['w:styleId'];
+    const name = findElement(style, 'w:name')?.attributes['w:val'] || '';
+    const outline = findElement(style, 'w:outlineLvl')?.attributes['w:val'];
+    const heading = /^heading\s*(\d)$/i.exec(name);
+    const level = outline !== undefined && Number(outline) < 9 ? Number(outline) + 1
+      : heading ? Number(heading[1])
+      : /^title$/i.test(name) ? 1
+      : /^subtitle$/i.test(name) ? 2
+      : 0;
+    if (styleId && level > 0) levels.set(styleId, level);
+  });
+  return levels;
+}
+
+function convertDocx(document, headingLevels) {
+  const lines = [];
+  const body = findElement(document, 'w:body');
+  if (body) addDocxBlocks(body, headingLevels, lines);
+  return joinLines(lines);
+}
+
+function addDocxBlocks(element, headingLevels, lines) {
+  childElements(element).forEach(child => {
+    if (child.name === 'w:p') {
+      addDocxParagraph(child, headingLevels, lines);
+    } else if (child.name === 'w:tbl') {
+      lines.push('');
+      childElements(child, 'w:tr').forEach(row => {
+        const cells = childElements(row, 'w:tc').map(cell => {
+          const cellLines = [];
+          addDocxBlocks(cell, headingLevels, cellLines);
+          return cellLines.filter(Boolean).map(stripLineMarker).join(' ');
+        });
+        if (cells.some(Boolean)) lines.push(cells.join(' | '));
+      });
+      lines.push('');
+    } else if (!SKIPPED_ELEMENTS.has(child.name) && child.name !== 'w:sectPr') {
+      // Content controls, custom XML and the like wrap ordinary paragraphs
+      addDocxBlocks(child, headingLevels, lines);
+    }
+  });
+}
+
+function addDocxParagraph(paragraph, headingLevels, lines) {
+  const properties = childElements(paragraph, 'w:pPr')[0];
+  // Text boxes anchored in the paragraph hold paragraphs of their own
+  const nested = [];
+  const text = collectText(paragraph, {
+    // Only w:t holds text; whitespace between run elements is formatting
+    '#text': () => '',
+    'w:t': element => textContent(element),
+    'w:tab': () => '\t',
+    'w:br': () => '\n',
+    'w:cr': () => '\n',
+    'w:noBreakHyphen': () => '-',
+    'w:pPr': () => '',
+    'w:txbxContent': element => {
+      addDocxBlocks(element, headingLevels, nested);
+      return '';
+    }
+  }).trim();
+
+  if (text) {
+    const styleId = properties && findElement(properties, 'w:pStyle')?.attributes['w:val'];
+    const outline = properties && findElement(properties, 'w:outlineLvl')?.attributes['w:val'];
+    const headingLevel = outline !== undefined && Number(outline) < 9 ? Number(outline) + 1 : headingLevels.get(styleId) || 0;
+    const listLevel = properties && findElement(properties, 'w:numPr') ? Number(findElement(properties, 'w:ilvl')?.attributes['w:val'] || 0) : -1;
+
+    if (headingLevel > 0) {
+      lines.push('', `${'#'.repeat(headingLevel)} ${text}`);
+    } else if (listLevel >= 0) {
+      lines.push(`${'  '.repeat(listLevel)}- ${text}`);
+    } else {
+      lines.push(text);
+    }
+  }
+  lines.push(...nested);
+}
+
+function convertOdt(document) {
+  const lines = [];
+  const body = findElement(document, 'office:text');
+  if (body) addOdtBlocks(body, lines, -1);
+  return joinLines(lines);
+}
+
+// listLevel is -1 outside lists, 0 for a top-level list and so on
+function addOdtBlocks(element, lines, listLevel) {
+  childElements(element).forEach(child => {
+    if (child.name === 'text:h') {
+      const level = Number(child.attributes['text:outline-level']) || 1;
+      const { text, frames } = readOdtParagraph(child);
+      if (text) lines.push('', `${'#'.repeat(level)} ${text}`);
+      lines.push(...frames);
+    } else if (child.name === 'text:p') {
+      const { text, frames } = readOdtParagraph(child);
+      if (text) lines.push(listLevel >= 0 ? `${'  '.repeat(listLevel)}- ${text}` : text);
+      lines.push(...frames);
+    } else if (child.name === 'text:list') {
+      childElements(child).forEach(item => addOdtBlocks(item, lines, listLevel + 1));
+    } else if (child.name === 'table:table') {
+      lines.push('');
+      addOdtTableRows(child, lines);
+      lines.push('');
+    } else if (!SKIPPED_ELEMENTS.has(child.name)) {
+      // Sections, list items and other containers hold ordinary blocks
+      addOdtBlocks(child, lines, listLevel);
+    }
+  });
+}
+
+function addOdtTableRows(element, lines) {
+  childElements(element).forEach(child => {
+    if (child.name === 'table:table-row') {
+      const cells = childElements(child, 'table:table-cell').map(cell => {
+        const cellLines = [];
+        addOdtBlocks(cell, cellLines, -1);
+        return cellLines.filter(Boolean).map(stripLineMarker).join(' ');
+      });
+      if (cells.some(Boolean)) lines.push(cells.join(' | '));
+    } else if (/^table:table-(header-)?rows$|^table:table-row-group$/.test(child.name)) {
+      addOdtTableRows(child, lines);
+    }
+  });
+}
+
+// A paragraph's text, and the blocks of frames (text boxes) anchored in it
+function readOdtParagraph(paragraph) {
+  const frames = [];
+  const text = collectText(paragraph, {
+    'text:s': element => ' '.repeat(Number(element.attributes['text:c']) || 1),
+    'text:tab': () => '\t',
+    'text:line-break': () => '\n',
+    'text:note': () => '',
+    'draw:text-box': element => {
+      addOdtBlocks(element, frames, -1);
+      return '';
+    }
+  }).trim();
+  return { text, frames };
+}
+
+// Text of an element, with handlers for the elements that aren't plain runs
+// ('#text' for text nodes)
+function collectText(element, handlers) {
+  return element.children.map(child => {
+    if (typeof child === 'string') return handlers['#text'] ? handlers['#text'](child) : child;
+    if (SKIPPED_ELEMENTS.has(child.name)) return '';
+    if (handlers[child.name]) return handlers[child.name](child);
+    return collectText(child, handlers);
+  }).join('');
+}
+
+// Raw text inside an element, e.g. w:t
+function textContent(element) {
+  return element.children.map(child => typeof child === 'string' ? child : textContent(child)).join('');
+}
+
+// A table cell's paragraphs share one line, without heading or list markers
+function stripLineMarker(line) {
+  return line.replace(/^(#+ |\s*- )/, '');
+}
+
+// One line per paragraph, a blank line around headings and tables, and runs
+// of spaces and tabs after the indentation collapsed to one space
+function joinLines(lines) {
+  return lines
+    .map(line => line.replace(/(\S)[ \t\u00A0]+/g, '$1 ').trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
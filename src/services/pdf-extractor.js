@@ -0,0 +1,866 @@
+// Local PDF text extraction for the knowledge library. Runs in the service
+// worker without third-party code: objects are scanned straight from the file
+// (including compressed object streams), pages are read in page-tree order
+// and each page's text operators are replayed to get positioned text runs.
+// Runs are then laid out into lines, and two-column pages are read column by
+// column, so a CV's sidebar doesn't interleave with its main text.
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+const MAX_FORM_DEPTH = 5; // nested form XObjects followed when reading a page
+const SPACE_GAP_RATIO = 0.15; // gap between runs, in font sizes, that reads as a space
+const PARAGRAPH_GAP_RATIO = 1.6; // line gap, in font sizes, that starts a new paragraph
+
+// WinAnsiEncoding codes 0x80-0x9F; the rest of the encoding matches Latin-1
+const WIN_ANSI_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+// Glyph names used by /Differences encodings that aren't a letter or uniXXXX
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: '\'', quoteright: '’', quoteleft: '‘', parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '-',
+  period: '.', slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=',
+  greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\',
+  bracketright: ']', underscore: '_', braceleft: '{', bar: '|', braceright: '}',
+  asciitilde: '~', bullet: '•', endash: '–', emdash: '—', quotedblleft: '“',
+  quotedblright: '”', ellipsis: '…', copyright: '©', registered: '®', trademark: '™',
+  degree: '°', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', germandbls: 'ß',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9'
+};
+const GLYPH_ACCENTS = {
+  acute: '\u0301', grave: '\u0300', circumflex: '\u0302', dieresis: '\u0308',
+  tilde: '\u0303', cedilla: '\u0327', ring: '\u030A', caron: '\u030C'
+};
+
+// Used when a page names a font it doesn't define
+const FALLBACK_FONT = { codeLength: 1, composite: false, toUnicode: null, differences: new Map(), widths: new Map(), defaultWidth: 500 };
+
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+// Strings hold raw bytes as a binary string; their meaning depends on the font
+class PdfString {
+  constructor(bytes) {
+    this.bytes = bytes;
+  }
+}
+
+class PdfOperator {
+  constructor(op) {
+    this.op = op;
+  }
+}
+
+class PdfStream {
+  constructor(dict, raw) {
+    this.dict = dict;
+    this.raw = raw;
+  }
+}
+
+// Reads PDF objects from a binary string. Names come back as '/Name' strings,
+// dictionaries as plain objects keyed without the slash, and anything else
+// bare (content stream operators) as a PdfOperator. undefined means the end
+class PdfLexer {
+  constructor(text, position = 0) {
+    this.text = text;
+    this.position = position;
+  }
+
+  skipWhitespace() {
+    const { text } = this;
+    while (this.position < text.length) {
+      const char = text[this.position];
+      if (char === '%') {
+        while (this.position < text.length && text[this.position] !== '\n' && text[this.position] !== '\r') this.position++;
+      } else if (isPdfWhitespace(char)) {
+        this.position++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readObject() {
+    this.skipWhitespace();
+    const { text } = this;
+    if (this.position >= text.length) return undefined;
+
+    const char = text[this.position];
+    if (char === '/') return this.readName();
+    if (char === '(') return this.readLiteralString();
+    if (char === '<') return text[this.position + 1] === '<' ? this.readDictionary() : this.readHexString();
+    if (char === '[') return this.readArray();
+    if (/[+\-.\d]/.test(char)) return this.readNumber();
+
+    const keyword = this.readKeyword();
+    if (!keyword) {
+      // A stray delimiter; step over it rather than stall
+      this.position++;
+      return null;
+    }
+    if (keyword === 'true') return true;
+    if (keyword === 'false') return false;
+    if (keyword === 'null') return null;
+    return new PdfOperator(keyword);
+  }
+
+  readName() {
+    this.position++;
+    return '/' + this.readKeyword().replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  readKeyword() {
+    const start = this.position;
+    while (this.position < this.text.length && !isPdfWhitespace(this.text[this.position]) && !isPdfDelimiter(this.text[this.position])) {
+      this.position++;
+    }
+    return this.text.substring(start, this.position);
+  }
+
+  // "12 0 R" is read as a reference, any other number on its own
+  readNumber() {
+    const match = /[+-]?(?:\d+\.?\d*|\.\d+)/y;
+    match.lastIndex = this.position;
+    const [number] = match.exec(this.text) || ['0'];
+    this.position += Math.max(number.length, 1);
+
+    if (/^\d+$/.test(number)) {
+      const reference = /\s+(\d+)\s+R(?=[\s\/<>\[\]()%]|$)/y;
+      reference.lastIndex = this.position;
+      const found = reference.exec(this.text);
+      if (found) {
+        this.position = reference.lastIndex;
+        return new PdfRef(Number(number), Number(found[1]));
+      }
+    }
+    return Number(number);
+  }
+
+  readLiteralString() {
+    const { text } = this;
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let depth = 1;
+    let bytes = '';
+    this.position++;
+
+    while (this.position < text.length) {
+      const char = text[this.position++];
+      if (char === '\\') {
+        const next = text[this.position++];
+        if (next in escapes) {
+          bytes += escapes[next];
+        } else if (/[0-7]/.test(next)) {
+          let octal = next;
+          while (octal.length < 3 && /[0-7]/.test(text[this.position])) octal += text[this.position++];
+          bytes += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+        } else if (next === '\r') {
+          if (text[this.position] === '\n') this.position++; // line continuation
+        } else if (next !== '\n') {
+          bytes += next;
+        }
+      } else if (char === '(') {
+        depth++;
+        bytes += char;
+      } else if (char === ')') {
+        if (--depth === 0) break;
+        bytes += char;
+      } else {
+        bytes += char;
+      }
+    }
+    return new PdfString(bytes);
+  }
+
+  readHexString() {
+    const end = this.text.indexOf('>', this.position);
+    const stop = end === -1 ? this.text.length : end;
+    let hex = this.text.substring(this.position + 1, stop).replace(/[^0-9A-Fa-f]/g, '');
+    this.position = stop + 1;
+    if (hex.length % 2) hex += '0';
+    let bytes = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      bytes += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+    }
+    return new PdfString(bytes);
+  }
+
+  readArray() {
+    const items = [];
+    this.position++;
+    for (;;) {
+      this.skipWhitespace();
+      if (this.position >= this.text.length) break;
+      if (this.text[this.position] === ']') {
+        this.position++;
+        break;
+      }
+      items.push(this.readObject());
+    }
+    return items;
+  }
+
+  readDictionary() {
+    const dict = {};
+    this.position += 2;
+    for (;;) {
+      this.skipWhitespace();
+      if (this.position >= this.text.length) break;
+      if (this.text.startsWith('>>', this.position)) {
+        this.position += 2;
+        break;
+      }
+      const key = this.readObject();
+      const value = this.readObject();
+      if (typeof key === 'string' && key.startsWith('/')) {
+        dict[key.slice(1)] = value;
+      }
+    }
+    return dict;
+  }
+}
+
+// One parsed file: its objects by number, and the streams decoded so far
+class PdfDocument {
+  constructor(text) {
+    this.text = text;
+    this.objects = new Map();
+    this.trailers = [];
+    this.decodedStreams = new Map();
+    this.fonts = new Map();
+  }
+
+  // Scans every "N G obj" in the file; later definitions (incremental
+  // updates) replace earlier ones. Objects packed in object streams are added
+  // afterwards where no plain definition exists
+  async load() {
+    const { text } = this;
+    const header = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = header.exec(text))) {
+      const lexer = new PdfLexer(text, header.lastIndex);
+      let value = lexer.readObject();
+      lexer.skipWhitespace();
+      if (value && typeof value === 'object' && !Array.isArray(value) && text.startsWith('stream', lexer.position)) {
+        const { stream, end } = this.readStream(value, lexer.position + 6);
+        header.lastIndex = end;
+        value = stream;
+      } else {
+        header.lastIndex = Math.max(header.lastIndex, lexer.position);
+      }
+      this.objects.set(Number(match[1]), value);
+    }
+
+    const trailer = /trailer\s*(?=<<)/g;
+    while ((match = trailer.exec(text))) {
+      this.trailers.push(new PdfLexer(text, trailer.lastIndex).readObject());
+    }
+    for (const object of this.objects.values()) {
+      if (object instanceof PdfStream && object.dict.Type === '/XRef') this.trailers.push(object.dict);
+    }
+    if (this.trailers.some(trailer => trailer?.Encrypt)) {
+      throw new Error('Encrypted PDFs are not supported');
+    }
+
+    for (const object of [...this.objects.values()]) {
+      if (object instanceof PdfStream && object.dict.Type === '/ObjStm') {
+        await this.loadObjectStream(object);
+      }
+    }
+    console.log(`📑 Read ${this.objects.size} PDF objects`);
+  }
+
+  // Stream data starts after the EOL that follows "stream"; /Length is used
+  // when it's a direct number that lands on "endstream"
+  readStream(dict, start) {
+    const { text } = this;
+    if (text[start] === '\r') start++;
+    if (text[start] === '\n') start++;
+
+    let end = -1;
+    if (typeof dict.Length === 'number') {
+      const after = new PdfLexer(text, start + dict.Length);
+      after.skipWhitespace();
+      if (text.startsWith('endstream', after.position)) end = start + dict.Length;
+    }
+    if (end === -1) {
+      const found = text.indexOf('endstream', start);
+      end = found === -1 ? text.length : found;
+      if (text[end - 1] === '\n') end--;
+      if (text[end - 1] === '\r') end--;
+    }
+    return { stream: new PdfStream(dict, text.substring(start, end)), end };
+  }
+
+  async loadObjectStream(stream) {
+    const data = await this.decodeStream(stream);
+    if (!data) return;
+    const lexer = new PdfLexer(data);
+    const entries = [];
+    for (let i = 0; i < (stream.dict.N || 0); i++) {
+      entries.push({ num: lexer.readObject(), offset: lexer.readObject() });
+    }
+    entries.forEach(({ num, offset }) => {
+      if (typeof num !== 'number' || this.objects.has(num)) return;
+      lexer.position = (stream.dict.First || 0) + offset;
+      this.objects.set(num, lexer.readObject());
+    });
+  }
+
+  resolve(value) {
+    let depth = 0;
+    while (value instanceof PdfRef && depth++ < 32) {
+      value = this.objects.get(value.num) ?? null;
+    }
+    return value;
+  }
+
+  // Decoded stream data as a binary string, or null for filters we can't undo
+  async decodeStream(stream) {
+    if (this.decodedStreams.has(stream)) return this.decodedStreams.get(stream);
+
+    const filter = this.resolve(stream.dict.Filter);
+    const filters = (Array.isArray(filter) ? filter : filter ? [filter] : []).map(name => this.resolve(name));
+    let data = stream.raw;
+    try {
+      for (const name of filters) {
+        if (name === '/FlateDecode' || name === '/Fl') {
+          data = binaryFromBytes(await inflate(bytesFromBinary(data)));
+        } else if (name === '/ASCIIHexDecode' || name === '/AHx') {
+          data = new PdfLexer(`<${data.replace(/>.*$/s, '')}>`).readObject().bytes;
+        } else if (name === '/ASCII85Decode' || name === '/A85') {
+          data = decodeAscii85(data);
+        } else {
+          data = null;
+          break;
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not decode a PDF stream:', error);
+      data = null;
+    }
+
+    this.decodedStreams.set(stream, data);
+    return data;
+  }
+
+  // Leaf pages in reading order, with the resources and media box they inherit
+  getPages() {
+    const catalog = this.resolve([...this.trailers].reverse().find(trailer => trailer?.Root)?.Root) ||
+      [...this.objects.values()].find(object => object?.Type === '/Catalog');
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (node, inherited) => {
+      node = this.resolve(node);
+      if (!node || typeof node !== 'object' || visited.has(node)) return;
+      visited.add(node);
+      const resources = node.Resources ?? inherited.resources;
+      const mediaBox = node.MediaBox ?? inherited.mediaBox;
+      const kids = this.resolve(node.Kids);
+      if (Array.isArray(kids)) {
+        kids.forEach(kid => walk(kid, { resources, mediaBox }));
+      } else if (node.Type !== '/Pages') {
+        pages.push({ dict: node, resources: this.resolve(resources), mediaBox: this.resolve(mediaBox) });
+      }
+    };
+    walk(catalog?.Pages, { resources: null, mediaBox: null });
+    return pages;
+  }
+
+  // Positioned text runs of a page: [{ x, y, endX, size, text }]
+  async readPageText(page) {
+    const contents = this.resolve(page.dict.Contents);
+    const streams = (Array.isArray(contents) ? contents : [contents]).map(item => this.resolve(item));
+    let content = '';
+    for (const stream of streams) {
+      if (stream instanceof PdfStream) content += (await this.decodeStream(stream) || '') + '\n';
+    }
+
+    const runs = [];
+    await this.readContent(content, page.resources, IDENTITY_MATRIX, runs, 0);
+    return runs;
+  }
+
+  // Replays the text and graphics state operators that move text around
+  async readContent(content, resources, ctm, runs, depth) {
+    const fonts = this.resolve(resources?.Font) || {};
+    const xObjects = this.resolve(resources?.XObject) || {};
+    const lexer = new PdfLexer(content);
+    const operands = [];
+    const saved = [];
+    let state = { ctm, font: FALLBACK_FONT, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+    let textMatrix = IDENTITY_MATRIX;
+    let lineMatrix = IDENTITY_MATRIX;
+    const nextLine = (tx, ty) => {
+      lineMatrix = multiplyMatrix([1, 0, 0, 1, tx, ty], lineMatrix);
+      textMatrix = lineMatrix;
+    };
+
+    for (let token = lexer.readObject(); token !== undefined; token = lexer.readObject()) {
+      if (!(token instanceof PdfOperator)) {
+        operands.push(token);
+        continue;
+      }
+      const [a, b, c] = operands;
+
+      switch (token.op) {
+        case 'q':
+          saved.push({ ...state });
+          break;
+        case 'Q':
+          state = saved.pop() || state;
+          break;
+        case 'cm':
+          if (operands.length === 6) state.ctm = multiplyMatrix(operands, state.ctm);
+          break;
+        case 'BT':
+          textMatrix = lineMatrix = IDENTITY_MATRIX;
+          break;
+        case 'Tf':
+          state.font = await this.loadFont(typeof a === 'string' ? fonts[a.slice(1)] : null);
+          state.size = Number(b) || 0;
+          break;
+        case 'Tc':
+          state.charSpacing = Number(a) || 0;
+          break;
+        case 'Tw':
+          state.wordSpacing = Number(a) || 0;
+          break;
+        case 'Tz':
+          state.scale = (Number(a) || 100) / 100;
+          break;
+        case 'TL':
+          state.leading = Number(a) || 0;
+          break;
+        case 'Ts':
+          state.rise = Number(a) || 0;
+          break;
+        case 'Td':
+          nextLine(Number(a) || 0, Number(b) || 0);
+          break;
+        case 'TD':
+          state.leading = -(Number(b) || 0);
+          nextLine(Number(a) || 0, Number(b) || 0);
+          break;
+        case 'Tm':
+          if (operands.length === 6) textMatrix = lineMatrix = operands.map(Number);
+          break;
+        case 'T*':
+          nextLine(0, -state.leading);
+          break;
+        case 'Tj':
+          textMatrix = this.showText(a, state, textMatrix, runs);
+          break;
+        case '\'':
+          nextLine(0, -state.leading);
+          textMatrix = this.showText(a, state, textMatrix, runs);
+          break;
+        case '"':
+          state.wordSpacing = Number(a) || 0;
+          state.charSpacing = Number(b) || 0;
+          nextLine(0, -state.leading);
+          textMatrix = this.showText(c, state, textMatrix, runs);
+          break;
+        case 'TJ':
+          for (const item of Array.isArray(a) ? a : []) {
+            if (typeof item === 'number') {
+              textMatrix = multiplyMatrix([1, 0, 0, 1, -item / 1000 * state.size * state.scale, 0], textMatrix);
+            } else {
+              textMatrix = this.showText(item, state, textMatrix, runs);
+            }
+          }
+          break;
+        case 'Do': {
+          const xObject = this.resolve(typeof a === 'string' ? xObjects[a.slice(1)] : null);
+          if (xObject instanceof PdfStream && xObject.dict.Subtype === '/Form' && depth < MAX_FORM_DEPTH) {
+            const matrix = this.resolve(xObject.dict.Matrix);
+            const formContent = await this.decodeStream(xObject);
+            if (formContent) {
+              const formCtm = multiplyMatrix(Array.isArray(matrix) && matrix.length === 6 ? matrix : IDENTITY_MATRIX, state.ctm);
+              await this.readContent(formContent, this.resolve(xObject.dict.Resources) || resources, formCtm, runs, depth + 1);
+            }
+          }
+          break;
+        }
+        case 'BI': {
+          // Inline image data is binary; skip to its end marker
+          const end = /\sEI(?=[\s]|$)/g;
+          end.lastIndex = lexer.position;
+          lexer.position = end.exec(content) ? end.lastIndex : content.length;
+          break;
+        }
+      }
+      operands.length = 0;
+    }
+  }
+
+  // Decodes one string with the current font, records it as a run and
+  // returns the text matrix advanced past it
+  showText(string, state, textMatrix, runs) {
+    if (!(string instanceof PdfString)) return textMatrix;
+    const { font } = state;
+    const { bytes } = string;
+    let text = '';
+    let advance = 0;
+
+    for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+      let code = 0;
+      for (let j = 0; j < font.codeLength; j++) code = code * 256 + bytes.charCodeAt(i + j);
+      text += decodeCharacter(font, code);
+      const width = (font.widths.get(code) ?? font.defaultWidth) / 1000;
+      const wordSpacing = code === 32 && font.codeLength === 1 ? state.wordSpacing : 0;
+      advance += (width * state.size + state.charSpacing + wordSpacing) * state.scale;
+    }
+
+    const matrix = multiplyMatrix(textMatrix, state.ctm);
+    const start = transformPoint(0, state.rise, matrix);
+    const end = transformPoint(advance, state.rise, matrix);
+    if (text.trim()) {
+      runs.push({ x: start.x, y: start.y, endX: end.x, size: state.size * Math.hypot(matrix[2], matrix[3]) || 1, text });
+    }
+    return multiplyMatrix([1, 0, 0, 1, advance, 0], textMatrix);
+  }
+
+  // What a font's character codes mean: its ToUnicode map when it has one,
+  // otherwise its encoding differences over WinAnsi, plus glyph widths
+  async loadFont(reference) {
+    const dict = this.resolve(reference);
+    if (!dict || typeof dict !== 'object') return FALLBACK_FONT;
+    if (this.fonts.has(dict)) return this.fonts.get(dict);
+
+    const composite = dict.Subtype === '/Type0';
+    const widths = new Map();
+    let defaultWidth = 500;
+
+    let toUnicode = null;
+    const toUnicodeStream = this.resolve(dict.ToUnicode);
+    if (toUnicodeStream instanceof PdfStream) {
+      const cmap = await this.decodeStream(toUnicodeStream);
+      if (cmap) toUnicode = parseToUnicodeMap(cmap);
+    }
+
+    if (composite) {
+      const descendant = this.resolve(this.resolve(dict.DescendantFonts)?.[0]);
+      defaultWidth = this.resolve(descendant?.DW) ?? 1000;
+      const list = this.resolve(descendant?.W) || [];
+      for (let i = 0; i < list.length;) {
+        const first = this.resolve(list[i]);
+        const next = this.resolve(list[i + 1]);
+        if (Array.isArray(next)) {
+          next.forEach((width, offset) => widths.set(first + offset, this.resolve(width)));
+          i += 2;
+        } else {
+          const width = this.resolve(list[i + 2]);
+          for (let code = first; code <= next && code - first < 0x10000; code++) widths.set(code, width);
+          i += 3;
+        }
+      }
+    } else {
+      const firstChar = this.resolve(dict.FirstChar) || 0;
+      (this.resolve(dict.Widths) || []).forEach((width, offset) => widths.set(firstChar + offset, this.resolve(width)));
+    }
+
+    const differences = new Map();
+    const encoding = this.resolve(dict.Encoding);
+    let code = 0;
+    (this.resolve(encoding?.Differences) || []).forEach(item => {
+      if (typeof item === 'number') {
+        code = item;
+      } else if (typeof item === 'string') {
+        differences.set(code++, glyphNameToText(item.slice(1)));
+      }
+    });
+
+    const font = { codeLength: composite ? toUnicode?.codeLength || 2 : 1, composite, toUnicode, differences, widths, defaultWidth };
+    this.fonts.set(dict, font);
+    return font;
+  }
+}
+
+export class PdfExtractor {
+  // bytes: the file's Uint8Array. Resolves with [{ page, text }] in page
+  // order (page numbers from 1); pages without a text layer have empty text
+  async extractPages(bytes) {
+    console.group('📑 Extracting PDF text');
+
+    try {
+      const text = binaryFromBytes(bytes);
+      if (!text.substring(0, 1024).includes('%PDF-')) {
+        throw new Error('Not a PDF file');
+      }
+
+      const document = new PdfDocument(text);
+      await document.load();
+      const pages = document.getPages();
+      console.log(`📄 ${pages.length} page(s)`);
+
+      const result = [];
+      for (const [index, page] of pages.entries()) {
+        try {
+          const runs = await document.readPageText(page);
+          const [left = 0, , right = 612] = Array.isArray(page.mediaBox) ? page.mediaBox.map(Number) : [];
+          result.push({ page: index + 1, text: layoutPageText(runs, left, right - left) });
+        } catch (error) {
+          console.warn(`⚠️ Could not read page ${index + 1}:`, error);
+          result.push({ page: index + 1, text: '' });
+        }
+      }
+
+      const characters = result.reduce((sum, page) => sum + page.text.length, 0);
+      console.log(`✅ Extracted ${characters} characters`);
+      return result;
+    } finally {
+      console.groupEnd();
+    }
+  }
+}
+
+// Reading order for a page's runs. When a vertical gap splits the page into
+// two columns, each band between full-width lines (headings, rules of text
+// across both columns) is read left column first, then right
+function layoutPageText(runs, pageLeft, pageWidth) {
+  if (runs.length === 0) return '';
+  const split = findColumnSplit(runs, pageLeft, pageWidth);
+  if (split === null) return linesToText(groupLines(runs));
+
+  const spanning = groupLines(runs.filter(run => run.x < split && run.endX > split));
+  const bands = Array.from({ length: spanning.length + 1 }, () => ({ left: [], right: [] }));
+  runs.filter(run => run.x >= split || run.endX <= split).forEach(run => {
+    // Lines are ordered top-down, so the band is the number of full-width lines above the run
+    const band = spanning.filter(line => line.y > run.y).length;
+    bands[band][run.x >= split ? 'right' : 'left'].push(run);
+  });
+
+  const lines = [];
+  bands.forEach((band, index) => {
+    lines.push(...groupLines(band.left), ...groupLines(band.right));
+    if (spanning[index]) lines.push(spanning[index]);
+  });
+  return linesToText(lines);
+}
+
+// The x of the widest vertical gap in the middle half of the page that only
+// a few runs (headings across both columns) cross, with enough text on both
+// sides to be columns rather than a ragged margin
+function findColumnSplit(runs, pageLeft, pageWidth) {
+  if (runs.length < 10) return null;
+
+  const allowedCrossings = Math.max(2, Math.floor(runs.length * 0.05));
+  const low = pageLeft + pageWidth * 0.25;
+  const high = pageLeft + pageWidth * 0.75;
+  let best = null;
+  let gapStart = null;
+  for (let x = low; x <= high + 2; x += 2) {
+    const crossings = x > high ? Infinity : runs.filter(run => run.x < x && run.endX > x).length;
+    if (crossings <= allowedCrossings) {
+      gapStart ??= x;
+    } else if (gapStart !== null) {
+      const width = x - 2 - gapStart;
+      if (width >= Math.max(8, pageWidth * 0.02) && (!best || width > best.width)) {
+        best = { x: (gapStart + x - 2) / 2, width };
+      }
+      gapStart = null;
+    }
+  }
+  if (!best) return null;
+
+  const leftCount = runs.filter(run => run.endX <= best.x).length;
+  const rightCount = runs.filter(run => run.x >= best.x).length;
+  return leftCount >= runs.length * 0.2 && rightCount >= runs.length * 0.2 ? best.x : null;
+}
+
+// Runs on the same baseline (within half a font size) form one line, top-down
+function groupLines(runs) {
+  const lines = [];
+  [...runs].sort((a, b) => b.y - a.y).forEach(run => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - run.y) <= Math.max(line.size, run.size) * 0.5) {
+      line.runs.push(run);
+      line.size = Math.max(line.size, run.size);
+    } else {
+      lines.push({ y: run.y, size: run.size, runs: [run] });
+    }
+  });
+  lines.forEach(line => line.runs.sort((a, b) => a.x - b.x));
+  return lines;
+}
+
+function linesToText(lines) {
+  let text = '';
+  lines.forEach((line, index) => {
+    let lineText = '';
+    line.runs.forEach((run, runIndex) => {
+      const previous = line.runs[runIndex - 1];
+      const gap = previous ? run.x - previous.endX : 0;
+      if (previous && gap > run.size * SPACE_GAP_RATIO && !/\s$/.test(lineText) && !/^\s/.test(run.text)) {
+        lineText += ' ';
+      }
+      lineText += run.text;
+    });
+
+    const previousLine = lines[index - 1];
+    if (previousLine) {
+      text += Math.abs(previousLine.y - line.y) > line.size * PARAGRAPH_GAP_RATIO ? '\n\n' : '\n';
+    }
+    text += lineText.replace(/\s+/g, ' ').trim();
+  });
+  return text.trim();
+}
+
+// A ToUnicode CMap: { codeLength, get(code) } from its bfchar and bfrange entries
+function parseToUnicodeMap(cmap) {
+  const map = new Map();
+  const codespace = /begincodespacerange([\s\S]*?)endcodespacerange/.exec(cmap);
+  const firstRange = codespace && /<([0-9A-Fa-f]+)>/.exec(codespace[1]);
+
+  for (const [, block] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, source, target] of block.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g)) {
+      map.set(parseInt(source, 16), utf16FromHex(target));
+    }
+  }
+
+  for (const [, block] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target, list] of block.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(?:<([0-9A-Fa-f]*)>|\[([^\]]*)\])/g)) {
+      const first = parseInt(low, 16);
+      const last = Math.min(parseInt(high, 16), first + 0xFFFF);
+      if (list !== undefined) {
+        [...list.matchAll(/<([0-9A-Fa-f]*)>/g)].forEach(([, hex], offset) => map.set(first + offset, utf16FromHex(hex)));
+        continue;
+      }
+      const base = utf16FromHex(target);
+      if (!base) continue;
+      for (let code = first; code <= last; code++) {
+        // Consecutive codes map to consecutive characters (last unit incremented)
+        map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - first));
+      }
+    }
+  }
+
+  return { codeLength: firstRange ? Math.ceil(firstRange[1].length / 2) : 1, get: code => map.get(code) };
+}
+
+function decodeCharacter(font, code) {
+  const mapped = font.toUnicode?.get(code);
+  if (mapped !== undefined) return mapped;
+  // Composite fonts without a ToUnicode map only have glyph ids, which aren't text
+  if (font.composite) return '';
+  if (font.differences.has(code)) return font.differences.get(code);
+  if (code >= 0x80 && code <= 0x9F) return WIN_ANSI_HIGH[code - 0x80];
+  return code < 32 ? '' : String.fromCharCode(code);
+}
+
+// "eacute" → "é", "uni00E9" → "é", "T" → "T", "one" → "1"
+function glyphNameToText(name) {
+  const base = name.split('.')[0];
+  if (GLYPH_NAMES[base]) return GLYPH_NAMES[base];
+  if (/^[A-Za-z]$/.test(base)) return base;
+
+  const unicode = /^uni([0-9A-Fa-f]{4})/.exec(base) || /^u([0-9A-Fa-f]{4,6})$/.exec(base);
+  if (unicode) return String.fromCodePoint(parseInt(unicode[1], 16));
+
+  const accented = /^([A-Za-z])(acute|grave|circumflex|dieresis|tilde|cedilla|ring|caron)$/.exec(base);
+  if (accented) return (accented[1] + GLYPH_ACCENTS[accented[2]]).normalize('NFC');
+  return '';
+}
+
+function utf16FromHex(hex) {
+  if (hex.length <= 2) return hex ? String.fromCharCode(parseInt(hex, 16)) : '';
+  let text = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) {
+    text += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+  }
+  return text;
+}
+
+function decodeAscii85(data) {
+  const text = data.replace(/^\s*<~/, '').replace(/~>[\s\S]*$/, '').replace(/\s+/g, '');
+  let bytes = '';
+  let group = [];
+  const flush = length => {
+    while (group.length < 5) group.push(84); // pad with 'u'
+    const value = group.reduce((sum, digit) => sum * 85 + digit, 0);
+    for (let i = 0; i < length; i++) bytes += String.fromCharCode((value >>> (24 - i * 8)) & 0xFF);
+    group = [];
+  };
+
+  for (const char of text) {
+    if (char === 'z' && group.length === 0) {
+      bytes += '\0\0\0\0';
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 0) flush(group.length - 1);
+  return bytes;
+}
+
+// zlib inflate with the platform's DecompressionStream. Streams with trailing
+// garbage make it throw at the end, so whatever was inflated before is kept
+async function inflate(bytes) {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+  const parts = [];
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parts.push(value);
+    }
+  } catch (error) {
+    if (parts.length === 0) throw error;
+  }
+
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+}
+
+function multiplyMatrix([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+  return [
+    a1 * a2 + b1 * c2,
+    a1 * b2 + b1 * d2,
+    c1 * a2 + d1 * c2,
+    c1 * b2 + d1 * d2,
+    e1 * a2 + f1 * c2 + e2,
+    e1 * b2 + f1 * d2 + f2
+  ];
+}
+
+function transformPoint(x, y, [a, b, c, d, e, f]) {
+  return { x: x * a + y * c + e, y: x * b + y * d + f };
+}
+
+function isPdfWhitespace(char) {
+  return char === ' ' || char === '\n' || char === '\r' || char === '\t' || char === '\f' || char === '\0';
+}
+
+function isPdfDelimiter(char) {
+  return '()<>[]{}/%'.includes(char);
+}
+
+// Binary strings keep one byte per character, which is what the lexer reads
+function binaryFromBytes(bytes) {
+  let text = '';
+  // Convert in slices; spreading a large array into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+function bytesFromBinary(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i);
+  }
+  return bytes;
+}
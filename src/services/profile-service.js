@@ -0,0 +1,213 @@
+// The personal profile read from uploaded documents: identity, contact,
+// addresses, employment, education, languages and skills. It is stored flat
+// as knowledgeProfile entries { key, value, source, edited }, key being a path
+// such as "contact.phone" or "employment[0].jobTitle". source links the entry
+// to the library chunk it was read from ({ fileName, chunkId, page, section })
+// and is null for entries added in the popup; edited entries belong to the
+// user and survive re-uploads and the deletion of their file
+import { SemanticTypes } from './semantic-types.js';
+
+const PROFILE_RECORDS = ['identity', 'contact'];
+const PROFILE_LISTS = ['addresses', 'employment', 'education', 'languages', 'skills'];
+const MAX_PROFILE_TEXT = 30000; // characters of a file sent for extraction
+
+// Fields that tell one list record from another when a file is read again
+const LIST_IDENTITY_FIELDS = {
+  addresses: ['address', 'street', 'postalCode'],
+  employment: ['organization', 'jobTitle'],
+  education: ['institution', 'degree'],
+  languages: ['language']
+};
+
+export class ProfileService {
+  constructor(geminiService) {
+    this.geminiService = geminiService;
+  }
+
+  // Reads the profile out of fileName's chunks in the knowledge base and
+  // merges it into the stored one; resolves with the number of entries added
+  async extractFromFile(fileName, signal = null) {
+    const { knowledgeBase = [] } = await chrome.storage.local.get('knowledgeBase');
+    const chunks = knowledgeBase
+      .filter(chunk => chunk.fileName === fileName)
+      .sort((a, b) => a.chunkIndex - b.chunkIndex);
+
+    // Opening chunks first; they hold the personal details of a CV
+    const passages = [];
+    let length = 0;
+    for (const chunk of chunks) {
+      if (passages.length > 0 && length + chunk.content.length > MAX_PROFILE_TEXT) break;
+      passages.push({ number: passages.length + 1, section: (chunk.section || []).join(' › '), text: chunk.content });
+      length += chunk.content.length;
+    }
+    if (passages.length === 0) return 0;
+
+    const profile = await this.geminiService.extractProfile(passages, signal);
+    if (!profile) return 0;
+
+    const entries = this.toEntries(profile, chunks.slice(0, passages.length));
+    const added = await this.mergeEntries(fileName, entries);
+    console.log(`👤 ${added} profile detail(s) read from "${fileName}"`);
+    return added;
+  }
+
+  // Gemini's { section: { name: { value, passage } } } profile as entries
+  // whose source is the chunk behind the passage number
+  toEntries(profile, chunks) {
+    const entries = [];
+    const add = (key, fact) => {
+      const { value, passage } = fact && typeof fact === 'object' ? fact : { value: fact };
+      const text = ['string', 'number'].includes(typeof value) ? String(value).trim() : '';
+      if (!text) return;
+      // A passage number Gemini got wrong still leaves the file as the source
+      const chunk = chunks[Number(passage) - 1];
+      entries.push({
+        key,
+        value: text,
+        source: {
+          fileName: chunks[0].fileName,
+          chunkId: chunk?.chunkId || null,
+          page: chunk?.page ?? null,
+          section: chunk?.section || []
+        },
+        edited: false
+      });
+    };
+
+    PROFILE_RECORDS.forEach(record => {
+      const fields = profile[record];
+      if (!fields || typeof fields !== 'object') return;
+      Object.entries(fields).forEach(([name, fact]) => add(`${record}.${name}`, fact));
+    });
+    PROFILE_LISTS.forEach(list => {
+      const items = Array.isArray(profile[list]) ? profile[list] : [];
+      items.forEach((item, index) => {
+        if (item && typeof item === 'object' && !('value' in item)) {
+          Object.entries(item).forEach(([name, fact]) => add(`${list}[${index}].${name}`, fact));
+        } else {
+          add(`${list}[${index}]`, item);
+        }
+      });
+    });
+    return entries;
+  }
+
+  // Replaces fileName's earlier entries with entries. A list record that is
+  // already stored keeps its index, so fields the user edited stay with it;
+  // other list items are numbered after those already in the profile. A
+  // detail the user edited, or a value the profile already has under the
+  // same name, isn't added again
+  async mergeEntries(fileName, entries) {
+    const { knowledgeProfile = [] } = await chrome.storage.local.get('knowledgeProfile');
+    const kept = knowledgeProfile.filter(entry => entry.edited || entry.source?.fileName !== fileName);
+    const indices = ProfileService.assignListIndices(entries, knowledgeProfile, kept);
+
+    const added = [];
+    entries.forEach(entry => {
+      const key = entry.key.replace(/^(\w+)\[\d+\]/, (item, list) => `${list}[${indices.get(item)}]`);
+      // Fields of list records (employment[0].organization) only make sense
+      // together, so only single details and plain list values are compared
+      if (!/\]\./.test(key)) {
+        const name = SemanticTypes.normalizeKey(key);
+        const value = entry.value.toLowerCase();
+        const known = [...kept, ...added].some(other =>
+          SemanticTypes.normalizeKey(other.key) === name &&
+          (other.value.toLowerCase() === value || (other.edited && other.key === key)));
+        if (known) return;
+      } else if (kept.some(other => other.key === key)) {
+        // The stored record already has this field, edited or read from another file
+        return;
+      }
+      added.push({ ...entry, key });
+    });
+
+    await chrome.storage.local.set({ knowledgeProfile: [...kept, ...added] });
+    return added.length;
+  }
+
+  // The index each list item of entries ("employment[0]") is stored under:
+  // that of the stored record it is the same as, else the next free one
+  static assignListIndices(entries, stored, kept) {
+    const storedRecords = [...ProfileService.groupRecords(stored)];
+    const matched = new Set();
+    const indices = new Map();
+
+    ProfileService.groupRecords(entries).forEach((fields, item) => {
+      const list = item.split('[')[0];
+      const same = storedRecords.find(([other, otherFields]) => !matched.has(other) &&
+        other.startsWith(`${list}[`) && ProfileService.isSameRecord(list, fields, otherFields));
+      if (!same) return;
+      matched.add(same[0]);
+      indices.set(item, ProfileService.getListIndex(same[0], list));
+    });
+
+    const used = [...kept.map(entry => entry.key), ...matched];
+    const next = Object.fromEntries(PROFILE_LISTS.map(list => [
+      list,
+      Math.max(-1, ...used.map(key => ProfileService.getListIndex(key, list))) + 1
+    ]));
+    entries.forEach(({ key }) => {
+      const [item, list] = key.match(/^(\w+)\[\d+\]/) || [];
+      if (item && !indices.has(item)) indices.set(item, next[list]++);
+    });
+    return indices;
+  }
+
+  // { "employment[0]": { organization, jobTitle, ... } } for the list records among entries
+  static groupRecords(entries) {
+    const records = new Map();
+    entries.forEach(({ key, value }) => {
+      const [, item, name] = key.match(/^(\w+\[\d+\])\.(\w+)$/) || [];
+      if (!item) return;
+      if (!records.has(item)) records.set(item, {});
+      records.get(item)[name] = value;
+    });
+    return records;
+  }
+
+  // Two records are the same when the identifying fields both have agree
+  static isSameRecord(list, fields, otherFields) {
+    const normalize = value => String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+    const shared = (LIST_IDENTITY_FIELDS[list] || []).filter(name => fields[name] && otherFields[name]);
+    return shared.length > 0 && shared.every(name => normalize(fields[name]) === normalize(otherFields[name]));
+  }
+
+  async getFacts() {
+    const { knowledgeProfile = [] } = await chrome.storage.local.get('knowledgeProfile');
+    return ProfileService.toFacts(knowledgeProfile);
+  }
+
+  // The profile as facts for field matching, { key, value, fileName, page,
+  // section, chunkId }. The user's entries come first so they win ties, and
+  // plain lists (skills) become a single fact
+  static toFacts(entries) {
+    const facts = [];
+    const lists = new Map();
+    const ordered = [...entries.filter(entry => entry.edited), ...entries.filter(entry => !entry.edited)];
+    ordered.forEach(entry => {
+      const fact = {
+        key: entry.key,
+        value: entry.value,
+        fileName: entry.source?.fileName || null,
+        page: entry.source?.page ?? null,
+        section: entry.source?.section || [],
+        chunkId: entry.source?.chunkId || null
+      };
+      const list = entry.key.match(/^(\w+)\[\d+\]$/)?.[1];
+      if (!list) {
+        facts.push(fact);
+      } else if (lists.has(list)) {
+        lists.get(list).value += `, ${entry.value}`;
+      } else {
+        lists.set(list, { ...fact, key: list });
+        facts.push(lists.get(list));
+      }
+    });
+    return facts;
+  }
+
+  static getListIndex(key, list) {
+    const match = key.match(/^(\w+)\[(\d+)\]/);
+    return match && match[1] === list ? Number(match[2]) : -1;
+  }
+}
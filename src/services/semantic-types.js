@@ -0,0 +1,170 @@
+// Canonical semantic field types (WHATWG autocomplete tokens) as used by the
+// background pipeline: how to extract a value of each type from knowledge
+// base text, which keywords make a chunk relevant, and how to format the result
+export class SemanticTypes {
+  // kind selects the extraction strategy; keywords score chunk relevance
+  static types = {
+    'name': { kind: 'text', keywords: ['name', 'full name'], guidance: 'the person\'s full name (First Last)' },
+    'honorific-prefix': { kind: 'text', keywords: ['mr', 'mrs', 'ms', 'dr', 'title'], guidance: 'a title such as Mr, Ms or Dr' },
+    'given-name': { kind: 'text', keywords: ['name', 'first name'], guidance: 'only the first (given) name' },
+    'additional-name': { kind: 'text', keywords: ['name', 'middle name'], guidance: 'only the middle name' },
+    'family-name': { kind: 'text', keywords: ['name', 'surname', 'last name'], guidance: 'only the last (family) name' },
+    'nickname': { kind: 'text', keywords: ['nickname', 'preferred name'], guidance: 'a short preferred name' },
+    'username': { kind: 'text', keywords: ['username', 'user', 'login'], guidance: 'a username without spaces' },
+    'organization-title': { kind: 'text', keywords: ['title', 'position', 'role', 'engineer', 'manager', 'developer'], guidance: 'a job title' },
+    'organization': { kind: 'text', keywords: ['company', 'employer', 'organization', 'ltd', 'inc'], guidance: 'a company or organisation name' },
+    'street-address': { kind: 'text', keywords: ['address', 'street', 'city', 'postal'], guidance: 'a full street address' },
+    'address-line1': { kind: 'text', keywords: ['address', 'street'], guidance: 'the street and number only' },
+    'address-line2': { kind: 'text', keywords: ['apartment', 'floor', 'suite'], guidance: 'apartment, suite or floor only' },
+    'address-level2': { kind: 'text', keywords: ['city', 'town'], guidance: 'the city or town only' },
+    'address-level1': { kind: 'text', keywords: ['state', 'region', 'province'], guidance: 'the state, region or province only' },
+    'country': { kind: 'text', keywords: ['country'], guidance: 'the country name' },
+    'country-name': { kind: 'text', keywords: ['country'], guidance: 'the country name' },
+    'postal-code': { kind: 'postal-code', keywords: ['postal', 'zip', 'code', 'address'], guidance: 'the postal / ZIP code only' },
+    'bday': { kind: 'date', keywords: ['born', 'birth', 'date of birth'], guidance: 'the date of birth' },
+    'bday-day': { kind: 'date-part', part: 'day', keywords: ['born', 'birth'], guidance: 'the day of the month of birth (1-31)' },
+    'bday-month': { kind: 'date-part', part: 'month', keywords: ['born', 'birth'], guidance: 'the month of birth (1-12)' },
+    'bday-year': { kind: 'date-part', part: 'year', keywords: ['born', 'birth'], guidance: 'the four-digit year of birth' },
+    'sex': { kind: 'text', keywords: ['gender', 'male', 'female'], guidance: 'the gender' },
+    'language': { kind: 'text', keywords: ['language', 'english', 'native', 'fluent'], guidance: 'a language name' },
+    'url': { kind: 'url', keywords: ['website', 'url', 'link', 'http', 'linkedin', 'github'], guidance: 'a complete https:// URL' },
+    'photo': { kind: 'url', keywords: ['photo', 'picture'], guidance: 'a URL of a photo' },
+    'email': { kind: 'email', keywords: ['email', 'mail', 'contact', '@'], guidance: 'an email address' },
+    'tel': { kind: 'tel', keywords: ['phone', 'telephone', 'mobile', 'contact'], guidance: 'a phone number including country code' },
+    'tel-country-code': { kind: 'tel', keywords: ['phone', 'mobile'], guidance: 'only the country calling code, e.g. +30' },
+    'tel-national': { kind: 'tel', keywords: ['phone', 'mobile'], guidance: 'the phone number without the country code' },
+    'tel-area-code': { kind: 'tel', keywords: ['phone'], guidance: 'only the area code' },
+    'tel-local': { kind: 'tel', keywords: ['phone'], guidance: 'the local number without country or area code' },
+    'tel-extension': { kind: 'number', keywords: ['ext', 'extension'], guidance: 'only the extension digits' },
+    'transaction-amount': { kind: 'number', keywords: ['amount', 'salary', 'price'], guidance: 'a number without currency symbols' },
+    'transaction-currency': { kind: 'text', keywords: ['currency', 'eur', 'usd'], guidance: 'an ISO currency code such as EUR' }
+  };
+
+  // Keys a structured profile (JSON, CSV) uses for each type, in the
+  // normalised form of SemanticTypes.normalizeKey. Parts of a value (a given
+  // name, a national number) fall back to the keys of the whole value
+  static factKeys = {
+    'name': ['name', 'full name', 'fullname'],
+    'given-name': ['first name', 'firstname', 'given name', 'forename'],
+    'family-name': ['last name', 'lastname', 'surname', 'family name'],
+    'additional-name': ['middle name', 'middlename'],
+    'nickname': ['nickname', 'preferred name'],
+    'username': ['username', 'user name', 'login', 'handle'],
+    'organization-title': ['job title', 'title', 'position', 'role'],
+    'organization': ['company', 'employer', 'organization', 'organisation', 'company name', 'employer name', 'organization name', 'work name'],
+    'street-address': ['address', 'street address', 'full address'],
+    'address-line1': ['street', 'address line1', 'address1', 'address line 1'],
+    'address-line2': ['address line2', 'address2', 'address line 2', 'apartment'],
+    'address-level2': ['city', 'town'],
+    'address-level1': ['state', 'region', 'province', 'county'],
+    'country': ['country'],
+    'country-name': ['country'],
+    'postal-code': ['postal code', 'postcode', 'zip', 'zip code', 'zipcode'],
+    'bday': ['birthday', 'birth date', 'birthdate', 'date of birth', 'dob'],
+    'sex': ['gender', 'sex'],
+    'language': ['language', 'languages', 'native language'],
+    'url': ['website', 'url', 'homepage', 'home page', 'portfolio'],
+    'email': ['email', 'e mail', 'mail', 'email address'],
+    'tel': ['phone', 'phone number', 'telephone', 'mobile', 'mobile phone', 'cell', 'tel']
+  };
+
+  static factKeyFallbacks = {
+    'given-name': 'name',
+    'family-name': 'name',
+    'additional-name': 'name',
+    'address-line1': 'street-address',
+    'tel-country-code': 'tel',
+    'tel-national': 'tel',
+    'tel-local': 'tel'
+  };
+
+  // Objects whose name/title keys describe the person rather than a record
+  static personKeyContainers = ['basics', 'profile', 'identity', 'personal', 'personal info', 'personal details', 'person', 'contact', 'me', 'user', 'applicant', 'candidate', 'about'];
+
+  // "contact.phoneNumber" → "contact phone number"; list indexes are dropped
+  static normalizeKey(key) {
+    return String(key)
+      .replace(/\[\d+\]/g, '')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[^A-Za-z0-9]+/g, ' ')
+      .toLowerCase()
+      .trim();
+  }
+
+  // The name a fact's key gives its value: the last key, qualified by its
+  // parent when that is a bare name or title, so "work[0].name" reads
+  // "work name" while "basics.name" stays "name"
+  static getFactKeyName(key) {
+    const segments = String(key).split('.').map(segment => this.normalizeKey(segment));
+    const last = segments.pop();
+    const parent = segments.pop();
+    return parent && ['name', 'title'].includes(last) && !this.personKeyContainers.includes(parent)
+      ? `${parent} ${last}`
+      : last;
+  }
+
+  // How surely a fact's key names the type: 1 for one of its own keys, 0.9
+  // for a key of the whole value it is part of, else 0
+  static matchFactKey(token, key) {
+    const last = this.getFactKeyName(key);
+    const names = [last, last.replace(/s$/, '')];
+    if (this.factKeys[token]?.some(name => names.includes(name))) return 1;
+    const fallback = this.factKeyFallbacks[token];
+    if (fallback && this.factKeys[fallback].some(name => names.includes(name))) return 0.9;
+    return 0;
+  }
+
+  static get(token) {
+    return token ? this.types[token] || null : null;
+  }
+
+  // Extraction strategy for a field: its canonical type when known, else its input type
+  static getKind(token, fieldType) {
+    return this.get(token)?.kind || fieldType?.toLowerCase();
+  }
+
+  static getKeywords(token) {
+    return this.get(token)?.keywords || null;
+  }
+
+  // Words added to a knowledge-base search for the type: its keywords that
+  // are words ("@" and "http" only help relevance scoring), or the token itself
+  static getQueryTerms(token) {
+    if (!token) return '';
+    const words = (this.getKeywords(token) || []).filter(keyword => /^[a-z][a-z ]+$/.test(keyword) && keyword !== 'http');
+    return words.length > 0 ? words.join(' ') : token.replace(/-/g, ' ');
+  }
+
+  // Narrows a raw extracted value down to what the canonical type expects,
+  // e.g. a full name to the given name or an international number to the national part
+  static formatValue(value, token) {
+    if (value === null || value === undefined || !token) return value;
+    const text = String(value).trim();
+    const nameParts = text.split(/\s+/).filter(Boolean);
+
+    switch (token) {
+      case 'given-name':
+        return nameParts.length > 1 ? nameParts[0] : text;
+      case 'family-name':
+        return nameParts.length > 1 ? nameParts[nameParts.length - 1] : text;
+      case 'additional-name':
+        return nameParts.length > 2 ? nameParts.slice(1, -1).join(' ') : '';
+      case 'email':
+        return text.toLowerCase();
+      case 'tel-country-code': {
+        const match = text.match(/^\+\d{1,3}/);
+        return match ? match[0] : text;
+      }
+      case 'tel-national':
+        return text.replace(/^\+\d{1,3}[\s.-]?/, '').trim();
+      case 'postal-code': {
+        const match = text.match(/\b\d{3}\s?\d{2}\b|\b\d{4,6}(-\d{4})?\b|\b[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}\b/i);
+        return match ? match[0] : text;
+      }
+      case 'username':
+        return text.replace(/\s+/g, '');
+      default:
+        return text;
+    }
+  }
+}
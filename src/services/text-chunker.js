@@ -0,0 +1,201 @@
+// Splits document text into chunks for embedding along its structure:
+// headings open sections, and chunks are filled with whole paragraphs, list
+// items and sentences. Chunk text is sliced straight from the document, so
+// punctuation, emails and line breaks survive as written, and every chunk
+// records the headings above it (its section path)
+const MARKDOWN_HEADING = /^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+const SETEXT_UNDERLINE = /^\s{0,3}(={3,}|-{3,})\s*$/;
+const LIST_ITEM = /^\s*(?:[-*+•‣◦▪●–]|\d{1,3}[.)]|[a-z][.)])\s+\S/;
+const LABEL_LINE = /^[^:]{1,40}:\s+\S/;
+
+// An oversized span is cut at sentence ends first, then line breaks, then
+// spaces. A sentence ends at . ! or ? followed by space and a capital or
+// digit, so "fotis@mail.gr" and "v2.1" stay whole
+const SPAN_SEPARATORS = [
+  /(?<=[.!?]['")\]]?)\s+(?=['"(\[]?[\p{Lu}\d])/gu,
+  /\n+/g,
+  /\s+/g
+];
+
+export class TextChunker {
+  // overlap: characters of the previous chunk's closing sentences or list
+  // items repeated at the start of the next chunk in the same section
+  constructor({ maxChunkSize = 1000, overlap = 150 } = {}) {
+    this.maxChunkSize = maxChunkSize;
+    this.overlap = Math.max(0, Math.min(overlap, Math.floor(maxChunkSize / 2)));
+  }
+
+  // [{ content, section }], section being the heading path, outermost first
+  chunk(text) {
+    return this.chunkPages([{ page: null, text }]).map(({ content, section }) => ({ content, section }));
+  }
+
+  // [{ content, section, page }] for extracted PDF pages. Sections carry over
+  // page breaks, chunks don't
+  chunkPages(pages) {
+    const headings = [];
+    return pages.flatMap(({ page, text }) =>
+      this.chunkText(text || '', headings).map(chunk => ({ ...chunk, page })));
+  }
+
+  // headings is the open heading stack [{ level, title }], updated in place
+  chunkText(text, headings) {
+    const chunks = [];
+    let units = [];
+    let headingStart = null; // start of the heading line(s) opening the next chunk
+
+    const flush = () => {
+      if (units.length === 0) return;
+      chunks.push({
+        content: text.slice(headingStart ?? units[0].start, units[units.length - 1].end),
+        section: headings.map(heading => heading.title)
+      });
+      headingStart = null;
+    };
+
+    for (const block of this.parseBlocks(text)) {
+      if (block.type === 'heading') {
+        flush();
+        units = [];
+        headingStart ??= block.start;
+        while (headings.length > 0 && headings[headings.length - 1].level >= block.level) {
+          headings.pop();
+        }
+        headings.push({ level: block.level, title: block.title });
+        continue;
+      }
+
+      // Paragraphs are packed sentence by sentence; list items stay whole unless oversized
+      const blockUnits = block.list && block.end - block.start <= this.maxChunkSize
+        ? [block]
+        : this.splitSpan(text, block.start, block.end);
+      for (const unit of blockUnits) {
+        const start = headingStart ?? units[0]?.start ?? unit.start;
+        if (units.length > 0 && unit.end - start > this.maxChunkSize) {
+          flush();
+          units = this.getOverlapUnits(units, unit);
+        }
+        units.push(unit);
+      }
+    }
+    flush();
+
+    // A document of headings only still keeps its text
+    if (chunks.length === 0 && headingStart !== null && text.trim()) {
+      chunks.push({ content: text.slice(headingStart).trim(), section: headings.map(heading => heading.title) });
+    }
+    return chunks;
+  }
+
+  // The previous chunk's closing units that fit in the overlap, and leave room for next
+  getOverlapUnits(units, next) {
+    const end = units[units.length - 1].end;
+    const kept = [];
+    // Never the whole previous chunk, or nothing would move forward
+    for (let i = units.length - 1; i > 0; i--) {
+      if (end - units[i].start > this.overlap || next.end - units[i].start > this.maxChunkSize) break;
+      kept.unshift(units[i]);
+    }
+    return kept;
+  }
+
+  // Spans of [start, end) no longer than maxChunkSize, cut at the first
+  // separator that applies; a single word longer than that is cut anywhere
+  splitSpan(text, start, end, level = 0) {
+    const separator = SPAN_SEPARATORS[level];
+    if (!separator) {
+      const spans = [];
+      for (let i = start; i < end; i += this.maxChunkSize) {
+        spans.push({ start: i, end: Math.min(i + this.maxChunkSize, end) });
+      }
+      return spans;
+    }
+
+    const spans = [];
+    let pieceStart = start;
+    for (const match of text.slice(start, end).matchAll(separator)) {
+      spans.push({ start: pieceStart, end: start + match.index });
+      pieceStart = start + match.index + match[0].length;
+    }
+    spans.push({ start: pieceStart, end });
+
+    return spans
+      .filter(span => span.end > span.start)
+      .flatMap(span => span.end - span.start > this.maxChunkSize
+        ? this.splitSpan(text, span.start, span.end, level + 1)
+        : [span]);
+  }
+
+  // Headings, paragraphs (lines up to a blank line) and list items (with their
+  // wrapped lines) as [{ type, start, end }], offsets into text
+  parseBlocks(text) {
+    const lines = [];
+    let offset = 0;
+    for (const raw of text.split('\n')) {
+      const trimmed = raw.trim();
+      const start = offset + raw.search(/\S|$/);
+      lines.push({ raw, text: trimmed, start, end: start + trimmed.length });
+      offset += raw.length + 1;
+    }
+
+    // Plain-text heading guesses would only add noise to a Markdown outline
+    const useMarkdown = lines.some(line => MARKDOWN_HEADING.test(line.raw));
+    const blocks = [];
+    let current = null;
+    let boundary = true; // the previous line closed whatever came before
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line.text) {
+        current = null;
+        boundary = true;
+        continue;
+      }
+
+      const heading = this.readHeading(lines, i, useMarkdown, boundary);
+      if (heading) {
+        current = null;
+        blocks.push({ type: 'heading', level: heading.level, title: heading.title, start: line.start, end: line.end });
+        if (heading.underlined) i++;
+        // The short line under a heading ("MSc Computer Science") is its
+        // first entry, not a heading of its own, unless a blank line comes first
+        boundary = false;
+        continue;
+      }
+
+      if (LIST_ITEM.test(line.raw)) {
+        current = { type: 'text', list: true, start: line.start, end: line.end };
+        blocks.push(current);
+      } else if (current) {
+        current.end = line.end;
+      } else {
+        current = { type: 'text', list: false, start: line.start, end: line.end };
+        blocks.push(current);
+      }
+      boundary = /[.!?)]$/.test(line.text) || LABEL_LINE.test(line.text);
+    }
+    return blocks;
+  }
+
+  // { level, title, underlined } when line i is a heading: "# Markdown", a
+  // line underlined with === or ---, or in plain text a short capitalised line
+  // of its own such as "Education" or "WORK EXPERIENCE" (level 1 when all caps)
+  readHeading(lines, i, useMarkdown, boundary) {
+    const line = lines[i];
+    const markdown = line.raw.match(MARKDOWN_HEADING);
+    if (markdown) return { level: markdown[1].length, title: markdown[2] };
+
+    const underline = lines[i + 1]?.raw.match(SETEXT_UNDERLINE);
+    if (underline && !LIST_ITEM.test(line.raw)) {
+      return { level: underline[1][0] === '=' ? 1 : 2, title: line.text, underlined: true };
+    }
+
+    if (useMarkdown || !boundary || i === lines.length - 1) return null;
+    const title = line.text.replace(/:$/, '');
+    if (title.length > 50 || title.split(/\s+/).length > 6 || !/^[\p{Lu}\d]/u.test(title)) return null;
+    if (/[.,;:!?]/.test(title.slice(-1)) || /[,;]|:\s/.test(title) || LIST_ITEM.test(line.raw)) return null;
+
+    const allCaps = title === title.toUpperCase() && /\p{Lu}{2}/u.test(title);
+    return { level: allCaps ? 1 : 2, title };
+  }
+}